@@ -0,0 +1,16 @@
+const a = 1
+const b = 2
+let c = a
+++c
+const d = b
+;[a, b].forEach(n => console.log(n))
+const e = `template`
+function returnsUndefined() {
+    return
+    42
+}
+let i = 0
+while (i < 3) i++
+const f = () => {}
+var g = function () {}
+throw new Error(`${a}${b}${c}${d}${e}`)
@@ -0,0 +1,55 @@
+class Shape {
+    #id;
+    static count = 0;
+
+    constructor(name) {
+        this.name = name;
+        this.#id = ++Shape.count;
+    }
+
+    get id() {
+        return this.#id;
+    }
+
+    static {
+        Shape.registry = new Map();
+    }
+
+    describe() {
+        return `${this.name} #${this.#id}`;
+    }
+
+    static isShape(value) {
+        return #id in value;
+    }
+}
+
+class Circle extends Shape {
+    constructor(radius) {
+        super('circle');
+        this.radius = radius;
+    }
+
+    get area() {
+        return Math.PI * this.radius ** 2;
+    }
+
+    set area(value) {
+        this.radius = Math.sqrt(value / Math.PI);
+    }
+
+    *points(steps = 4) {
+        for (let i = 0; i < steps; i++) {
+            yield [Math.cos(i), Math.sin(i)];
+        }
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        return response.json();
+    }
+}
+
+const shape = new Circle(2);
+shape.area = 10;
+console.log(shape.describe(), shape instanceof Shape);
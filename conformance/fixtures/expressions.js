@@ -0,0 +1,24 @@
+const config = options?.settings?.theme ?? 'dark';
+const total = items.reduce((sum, { price, qty = 1 }) => sum + price * qty, 0);
+const flags = (a & 0xff) | (b << 2) ^ ~c >>> 1;
+const power = 2 ** -1;
+let value = x ? y ? 1 : 2 : z || w && v;
+value ||= fallback;
+value &&= transform(value);
+value ??= 0;
+const [first, , third = 3, ...others] = list;
+const { name: alias, nested: { deep } = {}, ...rest } = object;
+[first, alias] = [alias, first];
+const typeCheck = typeof value === 'string' && !Array.isArray(value) && void 0 === undefined;
+delete object[key];
+const seq = (i++, --j, i + j);
+const callback = async (event) => await handle(event);
+const loader = async function load(url) { return await fetch(url); };
+(async function () { await loader('/'); })();
+const tagged = html`<p>${user.name}</p>`;
+const regex = /^[a-z]+\/(\d+)$/giu.test(input) ? input.split(/,\s*/) : [];
+const big = 9_007_199_254_740_993n + 0x1Fn;
+const numbers = [0b1010, 0o755, .5, 1e-7, 1_000_000];
+const created = new Date(2024, 0, 1).getTime?.();
+const chained = fn?.(1)?.[key]?.prop;
+const inOperator = 'key' in object && !(object instanceof Map);
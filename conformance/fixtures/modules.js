@@ -0,0 +1,24 @@
+import React, { useState as useLocalState } from 'react';
+import * as path from 'path';
+import 'side-effect';
+import defaultExport, { a, b as c, 'string name' as d } from './local.js';
+import config from './config.json' with { type: 'json' };
+
+export const VERSION = '1.0.0';
+export let counter = 0;
+export function increment(step = 1) {
+    counter += step;
+    return counter;
+}
+export class Store {}
+export { a, c as renamed };
+export * from './all.js';
+export * as namespace from './namespace.js';
+export { default as data } from './data.json' with { type: 'json' };
+export { default as Other } from './other.js';
+export default function main() {
+    return React.createElement('div', null, useLocalState(0), path.sep, defaultExport, d, config);
+}
+
+const lazy = await import('./lazy.js');
+console.log(import.meta.url, lazy);
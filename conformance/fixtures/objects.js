@@ -0,0 +1,42 @@
+const key = 'dynamic';
+const base = { inherited: true };
+
+const object = {
+    plain: 1,
+    'quoted-key': 2,
+    42: 'answer',
+    [key]: 'computed',
+    [`${key}Template`]: 3,
+    shorthand: base,
+    base,
+    method() {
+        return super.toString();
+    },
+    async asyncMethod() {
+        return await Promise.resolve(1);
+    },
+    *generator() {
+        yield 1;
+    },
+    async *asyncGenerator() {
+        yield 2;
+    },
+    get value() {
+        return this._value;
+    },
+    set value(next) {
+        this._value = next;
+    },
+    get: 'a property named get',
+    set() {
+        return 'a method named set';
+    },
+    async: true,
+    static: 'not a keyword here',
+    default: 'nor here',
+    ...base,
+    __proto__: base,
+};
+
+const { plain, [key]: computed, ...remaining } = object;
+console.log(plain, computed, remaining);
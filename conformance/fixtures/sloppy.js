@@ -0,0 +1,14 @@
+var let = 1;
+var yield = 2, async = 3, of = 4, get = 5;
+var octal = 017, decimal = 089, escaped = '\101\x42C\u{44}';
+with (Math) {
+    var rounded = round(PI * let);
+}
+async = function await() {
+    return arguments.length;
+};
+for (of of [of]) {}
+var año = 'unicode', π = 3.14, abc = 'escaped identifier';
+label: {
+    break label;
+}
@@ -0,0 +1,78 @@
+'use strict';
+
+function process(list) {
+    outer: for (let i = 0; i < list.length; i++) {
+        for (const item of list[i]) {
+            if (!item) continue outer;
+            if (item.done) break outer;
+        }
+    }
+
+    for (const key in list) {
+        if (Object.hasOwn(list, key)) {
+            debugger;
+        }
+    }
+
+    let attempts = 0;
+    do {
+        attempts++;
+    } while (attempts < 3);
+
+    while (attempts > 0) attempts--;
+
+    switch (typeof list) {
+        case 'object':
+            break;
+        case 'string':
+        case 'number': {
+            const local = 1;
+            return local;
+        }
+        default:
+            throw new TypeError('Unexpected type');
+    }
+
+    try {
+        JSON.parse('{');
+    } catch {
+        return null;
+    } finally {
+        attempts = 0;
+    }
+
+    try {
+        risky();
+    } catch (error) {
+        console.error(error);
+    }
+
+    if (attempts) {
+        return 1;
+    } else if (list) {
+        return 2;
+    } else {
+        return 3;
+    }
+}
+
+async function* stream(source) {
+    for await (const chunk of source) {
+        yield* chunk;
+    }
+}
+
+function* matches(text) {
+    for (const match of /\w+/g.exec(text) || []) {
+        yield /^\d+$/.test(match);
+    }
+}
+
+async function first(text) {
+    return await /\w+/.exec(text);
+}
+
+process([]);
+stream([]);
+matches('');
+first('');
@@ -0,0 +1,67 @@
+// conformance.js
+// Corpus de conformidad: compara el parser propio con los AST de referencia de
+// @babel/parser guardados en conformance/snapshots (uno por fixture).
+//
+//   npm run conformance                 resumen por fixture
+//   npm run conformance -- --verbose    además, las diferencias por nodo
+//   npm run conformance -- --update     regenera los snapshots con Babel
+
+import { readFileSync, readdirSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, basename, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { analyzeConformance, parseWithBabel } from '../src/conformance.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', 'conformance');
+const fixturesDir = join(root, 'fixtures');
+const snapshotsDir = join(root, 'snapshots');
+
+const update = process.argv.includes('--update');
+const verbose = process.argv.includes('--verbose');
+
+const fixtures = readdirSync(fixturesDir).filter(file => file.endsWith('.js')).sort();
+mkdirSync(snapshotsDir, { recursive: true });
+
+let totalNodes = 0;
+let matchingNodes = 0;
+let failed = false;
+
+for (const fixture of fixtures) {
+    const code = readFileSync(join(fixturesDir, fixture), 'utf8');
+    const snapshotPath = join(snapshotsDir, `${basename(fixture, '.js')}.json`);
+    const babel = parseWithBabel(code);
+    const serialized = JSON.stringify(babel, null, 2) + '\n';
+
+    if (update) {
+        writeFileSync(snapshotPath, serialized);
+    } else if (!existsSync(snapshotPath)) {
+        console.log(`✗ ${fixture}: falta el snapshot (ejecuta con --update)`);
+        failed = true;
+        continue;
+    }
+
+    const snapshot = readFileSync(snapshotPath, 'utf8');
+    if (snapshot !== serialized) {
+        // A Babel upgrade changed its output: the golden tree needs a review
+        console.log(`⚠ ${fixture}: Babel ya no produce el snapshot guardado (revisa y ejecuta con --update)`);
+        failed = true;
+    }
+
+    const conformance = analyzeConformance(code, JSON.parse(snapshot));
+    totalNodes += conformance.totalNodes;
+    matchingNodes += conformance.matchingNodes;
+
+    const mark = conformance.differences.length === 0 ? '✓' : '✗';
+    console.log(`${mark} ${fixture}: ${conformance.percentage.toFixed(1)}% ` +
+        `(${conformance.matchingNodes}/${conformance.totalNodes} nodos, ${conformance.differences.length} diferencias)`);
+
+    if (verbose) {
+        conformance.differences.forEach(difference => {
+            console.log(`    [Línea ${difference.line}, Columna ${difference.column}] ${difference.path}: ${difference.message}`);
+        });
+    }
+}
+
+const percentage = totalNodes > 0 ? (matchingNodes / totalNodes) * 100 : 0;
+console.log(`\nTotal: ${percentage.toFixed(1)}% (${matchingNodes}/${totalNodes} nodos en ${fixtures.length} fixtures)`);
+
+process.exitCode = failed ? 1 : 0;
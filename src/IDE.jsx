@@ -1,7 +1,7 @@
 import { useState, useRef } from "react";
 import Editor from "@monaco-editor/react";
-import { analyzeLexicalSyntactic } from "./lexer-parser.js";
-import { analyzeSemantics } from "./semantic-analyzer.js";
+import { analyzeCode } from "./analyzer.js";
+import { PARSER_BACKENDS, DEFAULT_PARSER_BACKEND } from "./parser-backends.js";
 import { FileText, Play, Trash2, Eye, EyeOff, AlertTriangle, CheckCircle, XCircle } from "lucide-react";
 
 function IDE() {
@@ -23,10 +23,14 @@ sayHello("Usuario");`);
   const [lexicalResult, setLexicalResult] = useState("");
   const [syntacticResult, setSyntacticResult] = useState("");
   const [semanticResult, setSemanticResult] = useState("");
+  const [conformanceResult, setConformanceResult] = useState("");
   const [analysisStats, setAnalysisStats] = useState(null);
   const [showConsole, setShowConsole] = useState(true);
   const [consoleHeight, setConsoleHeight] = useState(300);
   const [activeTab, setActiveTab] = useState("lexical");
+  const [asiWarnings, setAsiWarnings] = useState(false);
+  const [conformance, setConformance] = useState(false);
+  const [parser, setParser] = useState(DEFAULT_PARSER_BACKEND);
 
   const editorRef = useRef(null);
 
@@ -43,21 +47,21 @@ sayHello("Usuario");`);
 
   const handleRunAnalysis = () => {
     try {
-      // Análisis léxico y sintáctico
-      const lexSyntaxResults = analyzeLexicalSyntactic(code);
+      // Análisis léxico, sintáctico y semántico sobre el mismo AST
+      const lexSyntaxResults = analyzeCode(code, { parser, asiWarnings, conformance });
       setLexicalResult(lexSyntaxResults.lexicalResult);
       setSyntacticResult(lexSyntaxResults.syntacticResult);
 
-      // Análisis semántico
-      const semanticResults = analyzeSemantics(code);
+      const semanticResults = lexSyntaxResults.semantic;
       setSemanticResult(semanticResults.result);
+      setConformanceResult(lexSyntaxResults.conformance?.result || "");
 
       // Estadísticas generales
       setAnalysisStats({
         lexicalErrors: lexSyntaxResults.lexicalErrors || 0,
         syntaxErrors: lexSyntaxResults.syntaxErrors || 0,
         semanticErrors: semanticResults.errorCount || 0,
-        warnings: semanticResults.warningCount || 0,
+        warnings: (semanticResults.warningCount || 0) + (lexSyntaxResults.syntaxWarnings || 0),
         linesOfCode: code.split('\n').length,
         tokens: lexSyntaxResults.tokenCount || 0
       });
@@ -65,6 +69,7 @@ sayHello("Usuario");`);
       setLexicalResult("Error durante el análisis: " + error.message);
       setSyntacticResult("Error durante el análisis: " + error.message);
       setSemanticResult("Error durante el análisis: " + error.message);
+      setConformanceResult("");
     }
   };
 
@@ -77,6 +82,7 @@ sayHello("Usuario");`);
     setLexicalResult("");
     setSyntacticResult("");
     setSemanticResult("");
+    setConformanceResult("");
     setAnalysisStats(null);
   };
 
@@ -116,6 +122,32 @@ sayHello("Usuario");`);
           <span className="text-sm text-gray-200">Analizador JavaScript Avanzado</span>
         </div>
         <div className="flex space-x-2">
+          <select
+            value={parser}
+            onChange={(e) => setParser(e.target.value)}
+            className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg cursor-pointer transition-colors shadow-md"
+            title="Parser utilizado para el análisis sintáctico"
+          >
+            {Object.entries(PARSER_BACKENDS).map(([name, backend]) => (
+              <option key={name} value={name}>{backend.label}</option>
+            ))}
+          </select>
+          <label className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg flex items-center gap-2 cursor-pointer transition-colors shadow-md">
+            <input
+              type="checkbox"
+              checked={asiWarnings}
+              onChange={(e) => setAsiWarnings(e.target.checked)}
+            />
+            Avisos ASI
+          </label>
+          <label className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg flex items-center gap-2 cursor-pointer transition-colors shadow-md">
+            <input
+              type="checkbox"
+              checked={conformance}
+              onChange={(e) => setConformance(e.target.checked)}
+            />
+            Comparar con Babel
+          </label>
           <label className="bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-lg flex items-center gap-2 cursor-pointer transition-colors shadow-md">
             <FileText size={16} /> Cargar Archivo
             <input
@@ -234,6 +266,15 @@ sayHello("Usuario");`);
                   >
                     🧠 Análisis Semántico
                   </button>
+                  <button
+                    onClick={() => setActiveTab("conformance")}
+                    className={`w-full text-left px-3 py-2 rounded text-sm transition-colors ${activeTab === "conformance"
+                      ? "bg-orange-600 text-white"
+                      : "text-gray-300 hover:bg-gray-700"
+                      }`}
+                  >
+                    ⚖️ Conformidad
+                  </button>
                 </div>
               </div>
             </div>
@@ -267,6 +308,15 @@ sayHello("Usuario");`);
                 </div>
               )}
 
+              {activeTab === "conformance" && (
+                <div>
+                  <h4 className="text-lg font-semibold mb-3 text-orange-300">Conformidad con @babel/parser</h4>
+                  <pre className="whitespace-pre-wrap text-sm font-mono bg-gray-900 p-3 rounded border">
+                    {conformanceResult || "Activa \"Comparar con Babel\" y ejecuta el análisis"}
+                  </pre>
+                </div>
+              )}
+
               {/* Clear button */}
               <button
                 onClick={handleClearConsole}
@@ -0,0 +1,24 @@
+// analyzer.js
+// Pipeline completo: léxico -> sintáctico -> semántico sobre un único AST
+
+import { analyzeLexicalSyntactic } from './lexer-parser.js';
+import { parseWithBackend } from './parser-backends.js';
+import { analyzeSemantics } from './semantic-analyzer.js';
+import { analyzeConformance } from './conformance.js';
+
+// `options.parser` picks the backend ('inhouse', 'babel' or 'esprima', see parser-backends.js);
+// `options.asiWarnings` reports automatic semicolon insertion in the syntactic pass;
+// `options.conformance` also compares the in-house AST with @babel/parser's;
+// `options.rules` configures the semantic rules (see rules.js); an invalid configuration throws
+export function analyzeCode(code, options = {}) {
+    const lexSyntaxResults = analyzeLexicalSyntactic(code, options, parseWithBackend);
+
+    // The semantic pass reuses the parser's AST instead of parsing again
+    const semanticResults = analyzeSemantics(lexSyntaxResults.ast, { rules: options.rules });
+
+    return {
+        ...lexSyntaxResults,
+        semantic: semanticResults,
+        conformance: options.conformance ? analyzeConformance(code) : null
+    };
+}
@@ -0,0 +1,229 @@
+// conformance.js
+// Conformidad del parser propio frente a @babel/parser: ambos árboles se
+// normalizan a ESTree y se comparan nodo a nodo
+
+import { parseCode } from './lexer-parser.js';
+import { parseBabelFile } from './parser-backends.js';
+
+// Positions, comments and parser-specific extras are not part of the comparison
+const IGNORED_KEYS = new Set([
+    'loc', 'range', 'start', 'end', 'extra', 'comments', 'tokens', 'errors',
+    'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+// Differences listed in the report; the totals always count all of them
+const MAX_REPORTED_DIFFERENCES = 100;
+
+function isNode(value) {
+    return !!value && typeof value === 'object' && typeof value.type === 'string';
+}
+
+// Plain JSON-like copy of an ESTree tree: drops ignored keys, keeps the start
+// position as `loc` for the report, and turns values that differ per parser
+// instance (RegExp objects, BigInts) into comparable ones
+export function normalizeAst(node) {
+    if (Array.isArray(node)) return node.map(normalizeAst);
+    if (typeof node === 'bigint') return `${node}n`;
+    if (!node || typeof node !== 'object') return node;
+
+    const normalized = {};
+    for (const key of Object.keys(node)) {
+        if (IGNORED_KEYS.has(key) || node[key] === undefined) continue;
+        // A regex literal is described by `regex`; `value` is a host RegExp object
+        if (key === 'value' && node.regex) continue;
+        normalized[key] = normalizeAst(node[key]);
+    }
+
+    if (isNode(node) && node.loc) {
+        normalized.loc = { line: node.loc.start.line, column: node.loc.start.column };
+    }
+    return normalized;
+}
+
+// ESTree Program from @babel/parser; `errorRecovery` keeps recoverable errors in `errors`
+export function parseWithBabel(code) {
+    try {
+        const file = parseBabelFile(code);
+
+        return {
+            ast: normalizeAst(file.program),
+            errors: (file.errors || []).map(error => ({
+                message: error.reasonCode ? `${error.reasonCode}: ${error.message}` : error.message,
+                line: error.loc?.line || 0,
+                column: error.loc ? error.loc.column + 1 : 0
+            }))
+        };
+    } catch (error) {
+        return {
+            ast: null,
+            errors: [{ message: error.message, line: error.loc?.line || 0, column: error.loc ? error.loc.column + 1 : 0 }]
+        };
+    }
+}
+
+// ESTree leaves optional members out or sets them to null/false/[] (`Program.interpreter`,
+// `expression` on non-arrow functions, `attributes` on imports); neither form counts as a difference
+function isDefaultValue(value) {
+    return value === undefined || value === null || value === false ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function describe(value) {
+    if (isNode(value)) return value.type;
+    if (Array.isArray(value)) return `[${value.length} elementos]`;
+    return JSON.stringify(value);
+}
+
+// Compares `actual` (in-house parser) against `expected` (Babel). Every Babel node
+// counts once; it matches when its type and scalar members are equal and its
+// children exist with the same types (their own contents count for themselves).
+export function compareAsts(expected, actual) {
+    const state = { differences: [], totalNodes: 0, matchingNodes: 0 };
+    compareValue(expected, actual, 'Program', state, null);
+    return state;
+}
+
+function addDifference(state, path, message, expected, actual) {
+    const loc = actual?.loc || expected?.loc;
+    state.differences.push({ path, message, line: loc?.line || 0, column: loc ? loc.column + 1 : 0 });
+}
+
+function countNodes(value) {
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + countNodes(item), 0);
+    if (!value || typeof value !== 'object') return 0;
+
+    let count = isNode(value) ? 1 : 0;
+    for (const key of Object.keys(value)) {
+        if (key !== 'loc') count += countNodes(value[key]);
+    }
+    return count;
+}
+
+function compareValue(expected, actual, path, state, parent) {
+    if (isNode(expected)) {
+        if (!isNode(actual)) {
+            state.totalNodes += countNodes(expected);
+            addDifference(state, path, `falta el nodo ${expected.type} (se obtuvo ${describe(actual)})`, expected, parent);
+            return false;
+        }
+        return compareNode(expected, actual, path, state);
+    }
+
+    if (isNode(actual)) {
+        addDifference(state, path, `nodo ${actual.type} sobrante (Babel: ${describe(expected)})`, null, actual);
+        return false;
+    }
+
+    if (Array.isArray(expected) && Array.isArray(actual)) {
+        const length = Math.max(expected.length, actual.length);
+        let equal = expected.length === actual.length;
+        for (let i = 0; i < length; i++) {
+            if (i >= actual.length) {
+                state.totalNodes += countNodes(expected[i]);
+                addDifference(state, `${path}[${i}]`, `falta ${describe(expected[i])}`, expected[i], parent);
+            } else if (i >= expected.length) {
+                addDifference(state, `${path}[${i}]`, `${describe(actual[i])} sobrante`, null, actual[i] || parent);
+            } else if (!compareValue(expected[i], actual[i], `${path}[${i}]`, state, parent)) {
+                equal = false;
+            }
+        }
+        return equal;
+    }
+
+    // Scalars and plain objects (`regex`, template `value`)
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        addDifference(state, path, `Babel ${describe(expected)}, propio ${describe(actual)}`, null, parent);
+        return false;
+    }
+    return true;
+}
+
+function compareNode(expected, actual, path, state) {
+    state.totalNodes++;
+
+    if (expected.type !== actual.type) {
+        state.totalNodes += countNodes(expected) - 1;
+        addDifference(state, path, `tipo distinto: Babel ${expected.type}, propio ${actual.type}`, expected, actual);
+        return false;
+    }
+
+    let matches = true;
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    keys.forEach(key => {
+        if (key === 'loc' || key === 'type') return;
+
+        const expectedValue = expected[key];
+        const actualValue = actual[key];
+        if (!(key in expected) && isDefaultValue(actualValue)) return;
+        if (!(key in actual) && isDefaultValue(expectedValue)) return;
+
+        if (!compareValue(expectedValue, actualValue, `${path}.${key}`, state, actual)) {
+            matches = false;
+        }
+    });
+
+    if (matches) state.matchingNodes++;
+    return true;
+}
+
+// Conformance of a single source: both parses, per-node differences and a report.
+// `reference` is a stored `parseWithBabel` result (golden snapshot) to compare
+// against instead of parsing with Babel again.
+export function analyzeConformance(code, reference = null) {
+    const ours = parseCode(code);
+    const babel = reference || parseWithBabel(code);
+    const actual = normalizeAst(ours.ast);
+
+    const comparison = babel.ast
+        ? compareAsts(babel.ast, actual)
+        : { differences: [], totalNodes: 0, matchingNodes: 0 };
+    const percentage = comparison.totalNodes > 0
+        ? (comparison.matchingNodes / comparison.totalNodes) * 100
+        : 0;
+
+    let result = "=== CONFORMIDAD CON @babel/parser ===\n\n";
+
+    if (!babel.ast) {
+        result += "Babel no pudo analizar el código, no hay árbol de referencia:\n";
+        babel.errors.forEach(error => {
+            result += `  Línea ${error.line}, Columna ${error.column}: ${error.message}\n`;
+        });
+    } else {
+        result += `Nodos de referencia (Babel): ${comparison.totalNodes}\n`;
+        result += `Nodos coincidentes: ${comparison.matchingNodes} (${percentage.toFixed(1)}%)\n`;
+        result += `Diferencias: ${comparison.differences.length}\n\n`;
+
+        const ownErrors = [...ours.lexicalErrors, ...ours.syntaxErrors];
+        if (ownErrors.length > 0 || babel.errors.length > 0) {
+            result += "ERRORES DE CADA PARSER:\n";
+            ownErrors.forEach(error => {
+                result += `  Propio - Línea ${error.line}, Columna ${error.column}: ${error.message}\n`;
+            });
+            babel.errors.forEach(error => {
+                result += `  Babel  - Línea ${error.line}, Columna ${error.column}: ${error.message}\n`;
+            });
+            result += "\n";
+        }
+
+        if (comparison.differences.length > 0) {
+            result += "DIFERENCIAS POR NODO:\n";
+            comparison.differences.slice(0, MAX_REPORTED_DIFFERENCES).forEach((difference, index) => {
+                result += `${index + 1}. [Línea ${difference.line}, Columna ${difference.column}] ${difference.path}: ${difference.message}\n`;
+            });
+            if (comparison.differences.length > MAX_REPORTED_DIFFERENCES) {
+                result += `... y ${comparison.differences.length - MAX_REPORTED_DIFFERENCES} diferencias más\n`;
+            }
+        } else {
+            result += "✓ El AST propio coincide con el de Babel\n";
+        }
+    }
+
+    return {
+        result,
+        percentage,
+        totalNodes: comparison.totalNodes,
+        matchingNodes: comparison.matchingNodes,
+        differences: comparison.differences,
+        babelErrors: babel.errors
+    };
+}
@@ -0,0 +1,437 @@
+// control-flow.js
+// Grafo de flujo de control de una función (o del programa): un nodo por
+// sentencia y aristas para la ejecución normal, los saltos (return, throw,
+// break, continue), los bucles y los bloques try/catch/finally
+
+// Statements that are not "unreachable code" when nothing runs them:
+// hoisted function declarations and `var` declarations without a value
+function isReportable(stmt) {
+    if (stmt.type === 'FunctionDeclaration' || stmt.type === 'EmptyStatement') return false;
+    if (stmt.type === 'VariableDeclaration' && stmt.kind === 'var') {
+        return stmt.declarations.some(declarator => declarator.init);
+    }
+    return true;
+}
+
+function isLoop(stmt) {
+    return ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement']
+        .includes(stmt?.type);
+}
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// Whether `node` contains a `yield` or `await` of the function it is in: the
+// caller decides when a loop that stops there goes on
+function suspends(node) {
+    if (Array.isArray(node)) return node.some(suspends);
+    if (!node || typeof node.type !== 'string' || FUNCTION_TYPES.includes(node.type)) return false;
+    if (node.type === 'YieldExpression' || node.type === 'AwaitExpression') return true;
+    if (node.type === 'ForOfStatement' && node.await) return true;
+
+    return Object.keys(node).some(key => key !== 'loc' && key !== 'range' && typeof node[key] === 'object' && suspends(node[key]));
+}
+
+export class ControlFlowGraph {
+    constructor() {
+        this.nodes = [];
+        this.entry = this.createNode('entry');
+        // Normal completion of the function: `return` or falling off its end
+        this.exit = this.createNode('exit');
+        // Exceptions that leave the function
+        this.throwExit = this.createNode('throw');
+    }
+
+    createNode(kind, astNode = null) {
+        const node = { id: this.nodes.length, kind, astNode, successors: new Set(), reachable: false };
+        this.nodes.push(node);
+        return node;
+    }
+
+    addEdge(from, to) {
+        from.successors.add(to.id);
+    }
+
+    computeReachability() {
+        const pending = [this.entry];
+        this.entry.reachable = true;
+        while (pending.length > 0) {
+            const node = pending.pop();
+            node.successors.forEach(id => {
+                const successor = this.nodes[id];
+                if (!successor.reachable) {
+                    successor.reachable = true;
+                    pending.push(successor);
+                }
+            });
+        }
+    }
+
+    // Straight-line runs of the reachable nodes, in creation order: a block goes on
+    // while its last node has a single successor that has no other predecessor.
+    // The analyses carry one state through a block instead of one per node.
+    basicBlocks() {
+        const nodes = this.nodes.filter(node => node.reachable);
+        const predecessors = new Map(nodes.map(node => [node, []]));
+        nodes.forEach(node => node.successors.forEach(id => predecessors.get(this.nodes[id]).push(node)));
+
+        const blockOf = new Map();
+        const blocks = [];
+        const startBlock = node => {
+            const block = { nodes: [node], successors: [], predecessors: [] };
+            blockOf.set(node, block);
+            blocks.push(block);
+
+            let last = node;
+            while (last.successors.size === 1) {
+                const next = this.nodes[[...last.successors][0]];
+                if (next === this.entry || blockOf.has(next) || predecessors.get(next).length !== 1) break;
+                block.nodes.push(next);
+                blockOf.set(next, block);
+                last = next;
+            }
+        };
+
+        // Every node with several predecessors, or after a branch, starts a block
+        nodes.forEach(node => {
+            const [pred, ...others] = predecessors.get(node);
+            if (node === this.entry || !pred || others.length > 0 || pred.successors.size !== 1) {
+                startBlock(node);
+            }
+        });
+        // A cycle of single edges would have no start; none is reachable without one
+        nodes.forEach(node => {
+            if (!blockOf.has(node)) startBlock(node);
+        });
+
+        blocks.forEach(block => {
+            const last = block.nodes[block.nodes.length - 1];
+            last.successors.forEach(id => {
+                const successor = blockOf.get(this.nodes[id]);
+                block.successors.push(successor);
+                successor.predecessors.push(block);
+            });
+        });
+        return { blocks, blockOf };
+    }
+}
+
+// Builds the graph statement by statement. Every visit takes the "frontier" (the
+// nodes whose normal completion runs the statement) and returns the new one; an
+// empty frontier means the following code is only reachable through a jump.
+class ControlFlowBuilder {
+    constructor(options = {}) {
+        this.graph = new ControlFlowGraph();
+        this.isAlwaysTruthy = options.isAlwaysTruthy || (() => false);
+
+        // Jump targets: `finallyDepth` and `loopDepth` say how many finally blocks
+        // and loops are open where the target is, so a jump knows what it leaves
+        this.returnTarget = { node: this.graph.exit, finallyDepth: 0, loopDepth: 0 };
+        this.throwTarget = { node: this.graph.throwExit, finallyDepth: 0, loopDepth: 0, handler: false };
+        this.breakTargets = [];
+        this.finallyStack = [];
+        this.loopStack = [];
+
+        this.statements = [];
+        this.returns = [];
+        this.fallthroughs = [];
+        this.loops = [];
+    }
+
+    connect(frontier, node) {
+        frontier.forEach(from => this.graph.addEdge(from, node));
+    }
+
+    // Abrupt completion towards `target`, through the finally blocks in between.
+    // Implicit jumps (exceptions any statement may raise) do not count as loop exits.
+    jump(frontier, target, implicit = false) {
+        if (frontier.length === 0) return;
+
+        if (this.finallyStack.length > target.finallyDepth) {
+            const finalizer = this.finallyStack[this.finallyStack.length - 1];
+            this.connect(frontier, finalizer.entry);
+            finalizer.pending.push({ target, implicit });
+            return;
+        }
+
+        this.connect(frontier, target.node);
+        if (!implicit) {
+            this.loopStack.slice(target.loopDepth).forEach(loop => loop.exits.push(...frontier));
+        }
+    }
+
+    visitStatements(statements, frontier, parent) {
+        let previous = null;
+        statements.forEach(stmt => {
+            const entry = this.visitStatement(stmt, frontier, parent, previous);
+            frontier = entry.frontier;
+            if (isReportable(stmt)) {
+                previous = entry;
+            }
+        });
+        return frontier;
+    }
+
+    visitStatement(stmt, frontier, parent = null, previous = null, labels = []) {
+        const node = this.graph.createNode(stmt.type, stmt);
+        this.connect(frontier, node);
+
+        const entry = { astNode: stmt, node, parent, previous, frontier: [] };
+        this.statements.push(entry);
+
+        // Inside `try`, any statement may throw into the catch clause
+        if (this.throwTarget.handler) {
+            this.jump([node], this.throwTarget, true);
+        }
+
+        entry.frontier = this.visitStatementBody(stmt, node, entry, labels);
+        return entry;
+    }
+
+    visitStatementBody(stmt, node, entry, labels) {
+        switch (stmt.type) {
+            case 'BlockStatement':
+                return this.visitStatements(stmt.body, [node], entry);
+            case 'IfStatement': {
+                const consequent = this.visitStatement(stmt.consequent, [node], entry);
+                // Without `else` the false branch still gets a node of its own, so each
+                // branch has its own edge out of the test (see data-flow.js)
+                let alternate;
+                if (stmt.alternate) {
+                    alternate = this.visitStatement(stmt.alternate, [node], entry);
+                } else {
+                    alternate = { node: this.graph.createNode('else'), frontier: [] };
+                    this.connect([node], alternate.node);
+                    alternate.frontier = [alternate.node];
+                }
+                node.branches = { consequent: consequent.node.id, alternate: alternate.node.id };
+                return [...consequent.frontier, ...alternate.frontier];
+            }
+            case 'LabeledStatement':
+                return this.visitLabeledStatement(stmt, node, entry, labels);
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+            case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                return this.visitLoop(stmt, node, entry, labels);
+            case 'SwitchStatement':
+                return this.visitSwitch(stmt, node, entry, labels);
+            case 'TryStatement':
+                return this.visitTry(stmt, node, entry);
+            case 'WithStatement':
+                return this.visitStatement(stmt.body, [node], entry).frontier;
+            case 'ReturnStatement':
+                this.returns.push({ astNode: stmt, node, hasValue: !!stmt.argument });
+                this.jump([node], this.returnTarget);
+                return [];
+            case 'ThrowStatement':
+                this.jump([node], this.throwTarget);
+                return [];
+            case 'BreakStatement':
+            case 'ContinueStatement': {
+                const target = this.findJumpTarget(stmt);
+                // A jump without target was already reported; the code after it is still dead
+                if (target) {
+                    this.jump([node], target);
+                }
+                return [];
+            }
+            default:
+                return [node];
+        }
+    }
+
+    findJumpTarget(stmt) {
+        const label = stmt.label?.name;
+        const isBreak = stmt.type === 'BreakStatement';
+
+        for (let i = this.breakTargets.length - 1; i >= 0; i--) {
+            const target = this.breakTargets[i];
+            if (label ? !target.labels.includes(label) : target.kind === 'label') continue;
+            if (!isBreak && target.kind !== 'loop') {
+                if (label) return null;
+                continue;
+            }
+            return isBreak ? target.breakTarget : target.continueTarget;
+        }
+        return null;
+    }
+
+    pushBreakTarget(kind, labels, breakNode, continueNode = null) {
+        const finallyDepth = this.finallyStack.length;
+        const loopDepth = this.loopStack.length;
+        this.breakTargets.push({
+            kind,
+            labels,
+            breakTarget: { node: breakNode, finallyDepth, loopDepth },
+            // `continue` stays in the loop: it only leaves the loops nested in it
+            continueTarget: continueNode && { node: continueNode, finallyDepth, loopDepth: loopDepth + 1 }
+        });
+    }
+
+    // `a: b: while (...)`: every label of the chain names the loop
+    visitLabeledStatement(stmt, node, entry, labels) {
+        const allLabels = [...labels, stmt.label.name];
+        if (stmt.body.type === 'LabeledStatement' || isLoop(stmt.body)) {
+            return this.visitStatement(stmt.body, [node], entry, null, allLabels).frontier;
+        }
+
+        const after = this.graph.createNode('join');
+        this.pushBreakTarget('label', allLabels, after);
+        const frontier = this.visitStatement(stmt.body, [node], entry).frontier;
+        this.breakTargets.pop();
+
+        this.connect(frontier, after);
+        return [after];
+    }
+
+    // The loop statement node runs once on entering the loop (the for init, the
+    // iterated object); `head` starts every iteration: the test, or the binding of
+    // the next for-in/of value. `exits` collects the nodes that leave the loop.
+    visitLoop(stmt, node, entry, labels) {
+        const after = this.graph.createNode('join');
+        const loop = { astNode: stmt, node, exits: [] };
+        this.loops.push(loop);
+
+        let head = node;
+        let test = node;
+        let continueNode = node;
+        switch (stmt.type) {
+            case 'DoWhileStatement':
+                head = this.graph.createNode('loop');
+                test = continueNode = this.graph.createNode('test', stmt.test);
+                break;
+            case 'ForStatement':
+                head = test = this.graph.createNode('test', stmt.test);
+                continueNode = this.graph.createNode('update', stmt.update);
+                this.connect([continueNode], head);
+                break;
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                head = test = continueNode = this.graph.createNode('iteration', stmt);
+                break;
+        }
+        if (head !== node) {
+            this.connect([node], head);
+        }
+
+        this.pushBreakTarget('loop', labels, after, continueNode);
+        this.loopStack.push(loop);
+        const bodyEnd = this.visitStatement(stmt.body, [head], entry).frontier;
+        this.loopStack.pop();
+        this.breakTargets.pop();
+
+        // Back edge: the end of the body runs the test (or update) again
+        this.connect(bodyEnd, continueNode);
+        if (stmt.type === 'DoWhileStatement') {
+            this.connect([continueNode], head);
+        }
+
+        // for-in/of end with their values; other loops when their test can be false
+        const isForInOf = stmt.type === 'ForInStatement' || stmt.type === 'ForOfStatement';
+        if (isForInOf || (stmt.test && !this.isAlwaysTruthy(stmt.test))) {
+            this.connect([test], after);
+            loop.exits.push(test);
+        }
+        return [after];
+    }
+
+    visitSwitch(stmt, node, entry, labels) {
+        const after = this.graph.createNode('join');
+        this.pushBreakTarget('switch', labels, after);
+
+        let previousEnd = [];
+        stmt.cases.forEach((switchCase, index) => {
+            const caseNode = this.graph.createNode('case', switchCase);
+            this.connect([node], caseNode);
+
+            // The end of a non-empty case runs into the next one
+            if (index > 0 && stmt.cases[index - 1].consequent.length > 0 && previousEnd.length > 0) {
+                this.fallthroughs.push({ astNode: switchCase, sources: previousEnd });
+            }
+            this.connect(previousEnd, caseNode);
+
+            previousEnd = this.visitStatements(switchCase.consequent, [caseNode], entry);
+        });
+
+        this.breakTargets.pop();
+        this.connect(previousEnd, after);
+        if (!stmt.cases.some(switchCase => !switchCase.test)) {
+            this.connect([node], after);
+        }
+        return [after];
+    }
+
+    // Jumps out of a try with finally run the finally block first: they are
+    // queued on it and continue from its end once it is built
+    visitTry(stmt, node, entry) {
+        const finalizer = stmt.finalizer
+            ? { entry: this.graph.createNode('finally', stmt.finalizer), pending: [] }
+            : null;
+        if (finalizer) {
+            this.finallyStack.push(finalizer);
+        }
+
+        const outerThrowTarget = this.throwTarget;
+        let handlerNode = null;
+        if (stmt.handler) {
+            handlerNode = this.graph.createNode('catch', stmt.handler);
+            this.throwTarget = {
+                node: handlerNode,
+                finallyDepth: this.finallyStack.length,
+                loopDepth: this.loopStack.length,
+                handler: true
+            };
+            // The first statement of the block may throw before it completes
+            if (stmt.block.body.length > 0) {
+                this.jump([node], this.throwTarget, true);
+            }
+        }
+
+        const blockEnd = this.visitStatement(stmt.block, [node], entry).frontier;
+        this.throwTarget = outerThrowTarget;
+
+        const handlerEnd = stmt.handler
+            ? this.visitStatement(stmt.handler.body, [handlerNode], entry).frontier
+            : [];
+        if (!finalizer) {
+            return [...blockEnd, ...handlerEnd];
+        }
+
+        this.finallyStack.pop();
+        this.connect([...blockEnd, ...handlerEnd], finalizer.entry);
+        const finallyEnd = this.visitStatement(stmt.finalizer, [finalizer.entry], entry).frontier;
+        finalizer.pending.forEach(({ target, implicit }) => this.jump(finallyEnd, target, implicit));
+
+        return blockEnd.length > 0 || handlerEnd.length > 0 ? finallyEnd : [];
+    }
+}
+
+// Control flow of a function body, static block or program. `options.isAlwaysTruthy`
+// recognizes constant loop conditions (`while (true)`).
+export function buildControlFlowGraph(statements, options = {}) {
+    const builder = new ControlFlowBuilder(options);
+    const end = builder.visitStatements(statements, [builder.graph.entry], null);
+    builder.connect(end, builder.graph.exit);
+    builder.graph.computeReachability();
+
+    const isReachable = entry => !entry || entry.node.reachable;
+
+    return {
+        graph: builder.graph,
+        // Execution can fall off the end of the body (an implicit `return;`)
+        canCompleteNormally: end.some(node => node.reachable),
+        returns: builder.returns.filter(ret => ret.node.reachable),
+        // First statement of every unreachable run, not the statements nested in it
+        unreachable: builder.statements
+            .filter(entry => !entry.node.reachable && isReportable(entry.astNode) &&
+                isReachable(entry.parent) && isReachable(entry.previous))
+            .map(entry => entry.astNode),
+        fallthroughs: builder.fallthroughs
+            .filter(fallthrough => fallthrough.sources.some(node => node.reachable))
+            .map(fallthrough => fallthrough.astNode),
+        infiniteLoops: builder.loops
+            .filter(loop => loop.node.reachable && !loop.exits.some(node => node.reachable) && !suspends(loop.astNode))
+            .map(loop => loop.astNode)
+    };
+}
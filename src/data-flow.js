@@ -0,0 +1,383 @@
+// data-flow.js
+// Definiciones que alcanzan cada lectura sobre el grafo de flujo de control:
+// lecturas de variables quizá sin inicializar y asignaciones cuyo valor nunca se lee
+
+const EQUALITY_OPERATORS = ['==', '!=', '===', '!=='];
+
+function isUnsetValue(node) {
+    return (node.type === 'Identifier' && node.name === 'undefined') ||
+        (node.type === 'Literal' && node.value === null && !node.regex) ||
+        (node.type === 'UnaryExpression' && node.operator === 'void');
+}
+
+// An equality test of an operand against `other` being undefined or null
+function isUnsetTest(node, other) {
+    return EQUALITY_OPERATORS.includes(node.operator) && isUnsetValue(other);
+}
+
+// `x === undefined`, `typeof x !== 'undefined'`, `!(x == null)`...: the variable an
+// `if` test checks and the outcome of the test (`assignedWhen`) that shows it holds a value
+function unsetCheckOf(test) {
+    if (test.type === 'UnaryExpression' && test.operator === '!') {
+        const check = unsetCheckOf(test.argument);
+        return check && { id: check.id, assignedWhen: !check.assignedWhen };
+    }
+    if (test.type !== 'BinaryExpression' || !EQUALITY_OPERATORS.includes(test.operator)) return null;
+
+    const assignedWhen = test.operator.startsWith('!');
+    for (const [side, other] of [[test.left, test.right], [test.right, test.left]]) {
+        if (side.type === 'Identifier' && isUnsetValue(other)) {
+            return { id: side, assignedWhen };
+        }
+        if (side.type === 'UnaryExpression' && side.operator === 'typeof' && side.argument.type === 'Identifier' &&
+            other.type === 'Literal' && other.value === 'undefined') {
+            return { id: side.argument, assignedWhen };
+        }
+    }
+    return null;
+}
+
+// Accesses of one expression in evaluation order. Writes under `&&`, `||`, `??`
+// or `?:` may not happen: they are `conditional` and do not replace earlier values.
+// A `guard` read only tests the value, so it may be unassigned. Nested functions
+// and classes are not walked; the analyzer marks the variables they use as captured.
+function collectExpression(node, accesses, conditional = false, guard = false) {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+        case 'Identifier':
+            accesses.push({ kind: 'read', id: node, guard });
+            return;
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+        case 'ClassExpression':
+        case 'Literal':
+        case 'MetaProperty':
+        case 'ThisExpression':
+        case 'Super':
+            return;
+        case 'AssignmentExpression':
+            if (node.operator === '=') {
+                collectExpression(node.right, accesses, conditional);
+                collectPattern(node.left, accesses, conditional);
+            } else if (['&&=', '||=', '??='].includes(node.operator)) {
+                // `x ??= 1` tests x and only writes it when x is nullish; after
+                // `||=` or `??=` an unassigned x has always been replaced
+                const defaults = node.operator !== '&&=';
+                collectExpression(node.left, accesses, conditional, defaults);
+                collectExpression(node.right, accesses, true);
+                collectPattern(node.left, accesses, true, { replacesUninitialized: defaults && !conditional });
+            } else {
+                // `x += 1` reads x before writing it
+                collectExpression(node.left, accesses, conditional);
+                collectExpression(node.right, accesses, conditional);
+                collectPattern(node.left, accesses, conditional);
+            }
+            return;
+        case 'UpdateExpression':
+            collectExpression(node.argument, accesses, conditional);
+            collectPattern(node.argument, accesses, conditional);
+            return;
+        case 'UnaryExpression':
+            // `typeof x` only tests the value
+            collectExpression(node.argument, accesses, conditional, node.operator === 'typeof');
+            return;
+        case 'BinaryExpression':
+            // So do `x === undefined` and `x == null`
+            collectExpression(node.left, accesses, conditional, isUnsetTest(node, node.right));
+            collectExpression(node.right, accesses, conditional, isUnsetTest(node, node.left));
+            return;
+        case 'LogicalExpression':
+            collectExpression(node.left, accesses, conditional);
+            collectExpression(node.right, accesses, true);
+            return;
+        case 'ConditionalExpression':
+            collectExpression(node.test, accesses, conditional);
+            collectExpression(node.consequent, accesses, true);
+            collectExpression(node.alternate, accesses, true);
+            return;
+        case 'MemberExpression':
+            collectExpression(node.object, accesses, conditional);
+            if (node.computed) {
+                collectExpression(node.property, accesses, conditional);
+            }
+            return;
+        case 'Property':
+            if (node.computed) {
+                collectExpression(node.key, accesses, conditional);
+            }
+            collectExpression(node.value, accesses, conditional);
+            return;
+        default:
+            // Every other expression evaluates its operands in source order
+            Object.keys(node).forEach(key => {
+                if (key === 'loc' || key === 'range') return;
+                const value = node[key];
+                if (Array.isArray(value)) {
+                    value.forEach(item => collectExpression(item, accesses, conditional));
+                } else if (value && typeof value.type === 'string') {
+                    collectExpression(value, accesses, conditional);
+                }
+            });
+    }
+}
+
+// Writes of a binding or assignment target; default values are read only
+// when the value is undefined
+function collectPattern(pattern, accesses, conditional = false, extra = {}) {
+    if (!pattern) return;
+
+    switch (pattern.type) {
+        case 'Identifier':
+            accesses.push({ kind: 'write', id: pattern, conditional, ...extra });
+            break;
+        case 'AssignmentPattern':
+            collectExpression(pattern.right, accesses, true);
+            collectPattern(pattern.left, accesses, conditional, extra);
+            break;
+        case 'RestElement':
+            collectPattern(pattern.argument, accesses, conditional, extra);
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectPattern(element, accesses, conditional, extra));
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(property => {
+                if (property.type === 'RestElement') {
+                    collectPattern(property, accesses, conditional, extra);
+                    return;
+                }
+                if (property.computed) {
+                    collectExpression(property.key, accesses, conditional);
+                }
+                collectPattern(property.value, accesses, conditional, extra);
+            });
+            break;
+        default:
+            // `obj.x = value` reads obj
+            collectExpression(pattern, accesses, conditional);
+    }
+}
+
+function collectDeclaration(declaration, accesses) {
+    declaration.declarations.forEach(declarator => {
+        if (declarator.init) {
+            collectExpression(declarator.init, accesses);
+            collectPattern(declarator.id, accesses);
+        } else if (declaration.kind !== 'var') {
+            // `let x;` starts (or, in a loop, restarts) x without a value
+            collectPattern(declarator.id, accesses, false, { uninitialized: true });
+        }
+    });
+}
+
+// What a control-flow node evaluates, by the node kinds of control-flow.js
+function collectNodeAccesses(node) {
+    const accesses = [];
+    const stmt = node.astNode;
+    if (!stmt) return accesses;
+
+    switch (node.kind) {
+        case 'ExpressionStatement':
+            collectExpression(stmt.expression, accesses);
+            break;
+        case 'VariableDeclaration':
+            collectDeclaration(stmt, accesses);
+            break;
+        case 'ClassDeclaration':
+            collectExpression(stmt.superClass, accesses);
+            break;
+        case 'IfStatement':
+        case 'WhileStatement':
+            collectExpression(stmt.test, accesses);
+            break;
+        case 'ForStatement':
+            if (stmt.init?.type === 'VariableDeclaration') {
+                collectDeclaration(stmt.init, accesses);
+            } else {
+                collectExpression(stmt.init, accesses);
+            }
+            break;
+        case 'ForInStatement':
+        case 'ForOfStatement':
+            collectExpression(stmt.right, accesses);
+            break;
+        case 'iteration':
+            // Every iteration binds the next value; it is not a store to check
+            if (stmt.left.type === 'VariableDeclaration') {
+                stmt.left.declarations.forEach(declarator =>
+                    collectPattern(declarator.id, accesses, false, { iteration: true }));
+            } else {
+                collectPattern(stmt.left, accesses, false, { iteration: true });
+            }
+            break;
+        case 'test':
+        case 'update':
+            collectExpression(stmt, accesses);
+            break;
+        case 'ReturnStatement':
+        case 'ThrowStatement':
+            collectExpression(stmt.argument, accesses);
+            break;
+        case 'SwitchStatement':
+            collectExpression(stmt.discriminant, accesses);
+            break;
+        case 'case':
+            collectExpression(stmt.test, accesses);
+            break;
+        case 'catch':
+            collectPattern(stmt.param, accesses, false, { iteration: true });
+            break;
+        case 'WithStatement':
+            collectExpression(stmt.object, accesses);
+            break;
+    }
+    return accesses;
+}
+
+// Reaching definitions over `flow.graph`. `options.resolve(id)` gives the symbol an
+// identifier refers to, or null for the ones not to track (captured, exported,
+// globals); `options.entryValues` are the symbols holding a value when the body
+// starts (parameters) and `options.entryUninitialized` those holding undefined
+// (hoisted `var`s).
+export function analyzeDataFlow(flow, options = {}) {
+    const { graph } = flow;
+    const resolve = options.resolve || (() => null);
+    const nodes = graph.nodes.filter(node => node.reachable);
+
+    // Every write is a definition; entry definitions stand for the initial values
+    const definitions = [];
+    const define = (symbol, info) => {
+        const definition = { symbol, used: false, ...info };
+        definitions.push(definition);
+        return definition;
+    };
+    const entryState = new Map();
+    (options.entryValues || []).forEach(symbol => {
+        entryState.set(symbol, new Set([define(symbol, { entry: true })]));
+    });
+    (options.entryUninitialized || []).forEach(symbol => {
+        entryState.set(symbol, new Set([define(symbol, { uninitialized: true })]));
+    });
+
+    const accessesByNode = new Map();
+    nodes.forEach(node => {
+        const accesses = collectNodeAccesses(node)
+            .map(access => ({ ...access, symbol: resolve(access.id) }))
+            .filter(access => access.symbol);
+        accesses
+            .filter(access => access.kind === 'write')
+            .forEach(access => {
+                access.definition = define(access.symbol, {
+                    id: access.id,
+                    uninitialized: !!access.uninitialized,
+                    iteration: !!access.iteration
+                });
+            });
+        accessesByNode.set(node.id, accesses);
+    });
+
+    // `if` tests that tell whether a variable still lacks a value
+    const unsetChecks = new Map();
+    nodes.forEach(node => {
+        const check = node.branches && unsetCheckOf(node.astNode.test);
+        const symbol = check && resolve(check.id);
+        if (symbol) {
+            unsetChecks.set(node.id, { symbol, assignedWhen: check.assignedWhen });
+        }
+    });
+
+    // state: symbol -> Set of definitions that may hold its current value. A block
+    // runs its nodes on one copy of its input.
+    const transfer = (block, input, onRead = null) => {
+        const out = new Map(input);
+        block.nodes.forEach(node => accessesByNode.get(node.id).forEach(access => {
+            if (access.kind === 'read') {
+                onRead?.(access, out.get(access.symbol) || new Set());
+                return;
+            }
+            let previous = access.conditional ? [...(out.get(access.symbol) || [])] : [];
+            if (access.replacesUninitialized) {
+                previous = previous.filter(definition => !definition.uninitialized);
+            }
+            out.set(access.symbol, new Set([...previous, access.definition]));
+        }));
+        return out;
+    };
+
+    const merge = states => {
+        if (states.length === 1) return states[0];
+        const merged = new Map();
+        states.forEach(state => state.forEach((defs, symbol) => {
+            const current = merged.get(symbol);
+            merged.set(symbol, current ? new Set([...current, ...defs]) : defs);
+        }));
+        return merged;
+    };
+
+    const size = state => [...state.values()].reduce((sum, defs) => sum + defs.size, 0);
+
+    // What flows along the edge from block `from` to `to`: on the branch where an
+    // `if` test shows the variable is assigned, its unassigned definitions do not reach
+    const edgeState = (from, to) => {
+        const state = outputs.get(from) || new Map();
+        const pred = from.nodes[from.nodes.length - 1];
+        const node = to.nodes[0];
+        const check = unsetChecks.get(pred.id);
+        if (!check || !state.has(check.symbol)) return state;
+
+        // Edges into a catch clause are not branches of the test
+        const { consequent, alternate } = pred.branches;
+        const branch = node.id === consequent ? true : node.id === alternate ? false : null;
+        if (branch !== check.assignedWhen) return state;
+
+        const narrowed = new Map(state);
+        narrowed.set(check.symbol, new Set([...state.get(check.symbol)].filter(definition => !definition.uninitialized)));
+        return narrowed;
+    };
+
+    // Definitions only accumulate, so the sets stop growing: iterate to the fixed
+    // point, evaluating again only the blocks whose predecessors changed
+    const { blocks } = graph.basicBlocks();
+    const inputs = new Map();
+    const outputs = new Map();
+    const pending = new Set(blocks);
+    while (pending.size > 0) {
+        blocks.forEach(block => {
+            if (!pending.delete(block)) return;
+
+            const input = block.nodes[0] === graph.entry
+                ? entryState
+                : merge(block.predecessors.map(pred => edgeState(pred, block)));
+            inputs.set(block, input);
+            const output = transfer(block, input);
+            if (!outputs.has(block) || size(output) !== size(outputs.get(block))) {
+                block.successors.forEach(successor => pending.add(successor));
+            }
+            outputs.set(block, output);
+        });
+    }
+
+    // Final pass: what reaches every read
+    const uninitializedReads = [];
+    blocks.forEach(block => {
+        transfer(block, inputs.get(block), (access, defs) => {
+            defs.forEach(definition => { definition.used = true; });
+            const uninitialized = [...defs].filter(definition => definition.uninitialized);
+            if (uninitialized.length > 0 && !access.guard) {
+                uninitializedReads.push({
+                    id: access.id,
+                    symbol: access.symbol,
+                    definitely: uninitialized.length === defs.size
+                });
+            }
+        });
+    });
+
+    return {
+        uninitializedReads,
+        // Values stored and then overwritten or dropped without any read
+        deadStores: definitions.filter(definition =>
+            definition.id && !definition.used && !definition.uninitialized && !definition.iteration)
+    };
+}
@@ -0,0 +1,250 @@
+// jsdoc.js
+// Comentarios JSDoc: etiquetas @param y @returns de las funciones y sus tipos,
+// traducidos a los tipos de type-inference.js
+
+const PRIMITIVE_NAMES = {
+    number: 'number',
+    string: 'string',
+    boolean: 'boolean',
+    bigint: 'bigint',
+    symbol: 'symbol',
+    null: 'null',
+    undefined: 'undefined',
+    void: 'undefined'
+};
+
+// Any object: arrays, functions and class instances included
+const OBJECT_KINDS = ['object', 'array', 'regexp', 'date', 'function', 'class'];
+
+// Builtin classes whose instances are plain objects for the inference
+const OBJECT_CLASSES = new Set([
+    'Error', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Promise', 'ArrayBuffer'
+]);
+
+// A JSDoc type: `accepts` are the kinds it admits and `type` what the inference
+// may assume for a value of it; null means any value (`*`, typedefs, unknown names)
+function declaredType(accepts, type = accepts) {
+    return {
+        accepts: accepts && new Set(accepts),
+        type: type && new Set(type)
+    };
+}
+
+function unionDeclared(parts) {
+    const merge = key => (parts.some(part => !part[key]) ? null : parts.flatMap(part => [...part[key]]));
+    return declaredType(merge('accepts'), merge('type'));
+}
+
+// Splits at `separator` outside brackets, braces, parentheses and generics
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if ('([{<'.includes(char)) depth++;
+        else if (')]}>'.includes(char)) depth--;
+        else if (char === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Closure-compiler and TypeScript type syntax as used in JSDoc
+export function parseTypeExpression(text) {
+    const parts = splitTopLevel(text.trim(), '|');
+    if (parts.length !== 1) {
+        return unionDeclared(parts.map(parseTypeExpression));
+    }
+
+    let type = parts[0] || '*';
+    if (type.startsWith('...')) type = type.slice(3);
+    if (type.endsWith('=')) type = type.slice(0, -1);
+
+    if (type === '*' || type === '?' || type === 'any' || type === 'unknown') {
+        return declaredType(null);
+    }
+    // `?number` may be null, `!Object` may not
+    if (type.startsWith('?')) {
+        return unionDeclared([parseTypeExpression(type.slice(1)), declaredType(['null'])]);
+    }
+    if (type.startsWith('!')) {
+        return parseTypeExpression(type.slice(1));
+    }
+    if (type.startsWith('(') && type.endsWith(')')) {
+        return parseTypeExpression(type.slice(1, -1));
+    }
+
+    if (type.endsWith('[]') || type.startsWith('[')) return declaredType(['array']);
+    if (type.startsWith('{')) return declaredType(OBJECT_KINDS, ['object']);
+    if (/^['"`]/.test(type)) return declaredType(['string']);
+    if (/^-?\d/.test(type)) return declaredType(['number']);
+    if (type === 'true' || type === 'false') return declaredType(['boolean']);
+    if (/^function\b/.test(type) || type.includes('=>')) return declaredType(['function', 'class'], ['function']);
+
+    // `Array<number>`, `Array.<number>`, `Object<string, number>`
+    const name = type.match(/^[\w$.]+?(?=\.?<|$)/)?.[0] || type;
+    const primitive = PRIMITIVE_NAMES[name.toLowerCase()];
+    if (primitive) return declaredType([primitive]);
+
+    switch (name) {
+        case 'Array':
+            return declaredType(['array']);
+        case 'Object':
+        case 'object':
+            return declaredType(OBJECT_KINDS, null);
+        case 'Function':
+            return declaredType(['function', 'class'], ['function']);
+        case 'RegExp':
+            return declaredType(['regexp']);
+        case 'Date':
+            return declaredType(['date']);
+        default:
+            // Other names may be typedefs of anything
+            return OBJECT_CLASSES.has(name) ? declaredType(['object']) : declaredType(null);
+    }
+}
+
+// `{...}` at the start of `text`, with nested braces (record types)
+function readBracedType(text) {
+    if (!text.startsWith('{')) return { type: null, rest: text };
+
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) {
+            return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+        }
+    }
+    return { type: null, rest: text };
+}
+
+function parseParamTag(text, position) {
+    const { type, rest } = readBracedType(text);
+    // An unclosed `{type` leaves nothing reliable to read
+    if (type === null && text.startsWith('{')) return null;
+
+    // `[name]` and `[name=default]` are optional parameters
+    const optionalMatch = rest.match(/^\[\s*([^\]=\s]+)\s*(?:=[^\]]*)?\]/);
+    const name = optionalMatch ? optionalMatch[1] : rest.match(/^[^\s-]+/)?.[0];
+    if (!name) return null;
+
+    return {
+        name,
+        typeText: type,
+        ...(type ? parseTypeExpression(type) : declaredType(null)),
+        optional: !!optionalMatch || !!type?.trim().endsWith('='),
+        rest: !!type?.trim().startsWith('...'),
+        ...position
+    };
+}
+
+// JSDoc block (`/** ... */`) of a comment, or null. Tags keep their position in
+// the source so unmatched ones can be reported where they are written.
+export function parseJSDoc(comment) {
+    if (!comment || comment.type !== 'Block' || !comment.value.startsWith('*')) return null;
+
+    const doc = { params: [], returns: null };
+    const lines = comment.value.split('\n');
+    let current = null;
+    const tags = [];
+
+    lines.forEach((rawLine, index) => {
+        // Lines start with ` * `; the first one with the second `*` of `/**`
+        const text = rawLine.replace(/^\s*\*?/, '').trim();
+        const tagMatch = text.match(/^@(\w+)\s*(.*)$/);
+        if (tagMatch) {
+            // Columns are 1-based like the rest of the reports
+            const prefix = index === 0 ? comment.loc.start.column + 2 : 0;
+            current = {
+                tag: tagMatch[1],
+                text: tagMatch[2],
+                line: comment.loc.start.line + index,
+                column: prefix + rawLine.indexOf('@') + 1
+            };
+            tags.push(current);
+        } else if (current && text) {
+            // Types and descriptions may continue on the next lines
+            current.text += ` ${text}`;
+        }
+    });
+
+    tags.forEach(({ tag, text, line, column }) => {
+        const position = { line, column };
+
+        if (tag === 'param' || tag === 'arg' || tag === 'argument') {
+            const param = parseParamTag(text, position);
+            if (param) doc.params.push(param);
+        } else if (tag === 'returns' || tag === 'return') {
+            const { type } = readBracedType(text);
+            doc.returns = type
+                ? { typeText: type, ...parseTypeExpression(type), ...position }
+                : null;
+        }
+    });
+
+    return doc;
+}
+
+function isFunctionNode(node) {
+    return !!node && ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+// The function a commented node declares: the function itself, an exported one,
+// `const f = () => ...`, a method, an object property or `obj.f = function`
+function documentedFunction(node) {
+    switch (node.type) {
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            return node;
+        case 'ExportNamedDeclaration':
+        case 'ExportDefaultDeclaration':
+            return node.declaration ? documentedFunction(node.declaration) : null;
+        case 'VariableDeclaration': {
+            const init = node.declarations[0]?.init;
+            return isFunctionNode(init) ? init : null;
+        }
+        case 'MethodDefinition':
+        case 'Property':
+        case 'PropertyDefinition':
+            return isFunctionNode(node.value) ? node.value : null;
+        case 'ExpressionStatement':
+            return node.expression.type === 'AssignmentExpression' && isFunctionNode(node.expression.right)
+                ? node.expression.right
+                : null;
+        default:
+            return null;
+    }
+}
+
+// Function node -> its parsed JSDoc, from the last JSDoc block before each declaration
+export function collectFunctionDocs(ast) {
+    const docs = new Map();
+
+    const visit = node => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (!node || typeof node !== 'object' || typeof node.type !== 'string') return;
+
+        const jsdoc = node.leadingComments?.findLast(comment => comment.type === 'Block' && comment.value.startsWith('*'));
+        const fn = jsdoc && documentedFunction(node);
+        if (fn && !docs.has(fn)) {
+            docs.set(fn, parseJSDoc(jsdoc));
+        }
+
+        Object.keys(node).forEach(key => {
+            if (key !== 'loc' && key !== 'range' && key !== 'leadingComments') {
+                visit(node[key]);
+            }
+        });
+    };
+    visit(ast);
+
+    return docs;
+}
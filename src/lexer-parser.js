@@ -4,7 +4,7 @@
 // Simulamos la importación de Acorn (en un proyecto real, instalar: npm install acorn)
 // Para este ejemplo, implementamos un parser básico pero robusto
 
-class JavaScriptLexer {
+export class JavaScriptLexer {
     constructor(code) {
         this.code = code;
         this.position = 0;
@@ -12,6 +12,20 @@ class JavaScriptLexer {
         this.column = 1;
         this.tokens = [];
         this.errors = [];
+        // What each open `(` belongs to: 'head' for `if`/`while`/`for`/`with`,
+        // 'function' for the parameters of a function expression, else null
+        this.parenStack = [];
+        this.lastParenClosed = null;
+        // Whether each open `{` starts an expression (object literal, function or
+        // class expression body) rather than a block
+        this.braceStack = [];
+        this.lastBraceClosedExpression = false;
+        // Whether the last `function` keyword whose `(` is still to come, and the
+        // last `class` whose body is, are expressions
+        this.pendingFunction = null;
+        this.pendingClass = null;
+        // Open `{` count inside each pending template substitution
+        this.templateBraces = [];
     }
 
     // Definición de tokens
@@ -21,6 +35,8 @@ class JavaScriptLexer {
         NUMBER: 'NUMBER',
         STRING: 'STRING',
         TEMPLATE_LITERAL: 'TEMPLATE_LITERAL',
+        REGEX: 'REGEX',
+        PRIVATE_NAME: 'PRIVATE_NAME',
         OPERATOR: 'OPERATOR',
         PUNCTUATOR: 'PUNCTUATOR',
         COMMENT: 'COMMENT',
@@ -29,26 +45,33 @@ class JavaScriptLexer {
         INVALID: 'INVALID'
     };
 
+    // ECMAScript reserved words. Strict-mode reserved words (`let`, `static`,
+    // `yield`, `implements`...) and contextual keywords (`async`, `await`, `of`,
+    // `get`, `set`, `from`, `as`) are lexed as identifiers; the parser
+    // recognizes them by position and the semantic analyzer checks strict mode.
     static KEYWORDS = new Set([
-        'abstract', 'await', 'boolean', 'break', 'byte', 'case', 'catch', 'char',
-        'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
-        'double', 'else', 'enum', 'export', 'extends', 'false', 'final',
-        'finally', 'float', 'for', 'function', 'goto', 'if', 'implements',
-        'import', 'in', 'instanceof', 'int', 'interface', 'let', 'long',
-        'native', 'new', 'null', 'package', 'private', 'protected', 'public',
-        'return', 'short', 'static', 'super', 'switch', 'synchronized', 'this',
-        'throw', 'throws', 'transient', 'true', 'try', 'typeof', 'var', 'void',
-        'volatile', 'while', 'with', 'yield', 'async', 'of'
+        'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+        'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+        'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new',
+        'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+        'typeof', 'var', 'void', 'while', 'with'
     ]);
 
     static OPERATORS = new Set([
         '+', '-', '*', '/', '%', '++', '--', '=', '+=', '-=', '*=', '/=', '%=',
-        '==', '===', '!=', '!==', '>', '<', '>=', '<=', '&&', '||', '!',
-        '&', '|', '^', '~', '<<', '>>', '>>>', '?', ':', '=>', '**', '**='
+        '==', '===', '!=', '!==', '>', '<', '>=', '<=', '&&', '||', '!', '??',
+        '&', '|', '^', '~', '<<', '>>', '>>>', '?', '=>', '**', '**=',
+        '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='
     ]);
 
+    static REGEX_FLAGS = 'dgimsuvy';
+
+    // Unicode ID_Start / ID_Continue plus the characters JavaScript adds to them
+    static ID_START = /[\p{ID_Start}$_]/u;
+    static ID_CONTINUE = /[\p{ID_Continue}$\u200C\u200D]/u;
+
     static PUNCTUATORS = new Set([
-        '{', '}', '[', ']', '(', ')', ';', ',', '.', '...', '?.'
+        '{', '}', '[', ']', '(', ')', ';', ',', ':', '.', '...', '?.'
     ]);
 
     currentChar() {
@@ -60,6 +83,12 @@ class JavaScriptLexer {
         return pos < this.code.length ? this.code[pos] : null;
     }
 
+    // Full code point at the current position; astral characters span two code units
+    currentCodePoint() {
+        if (this.position >= this.code.length) return null;
+        return String.fromCodePoint(this.code.codePointAt(this.position));
+    }
+
     advance() {
         if (this.position < this.code.length) {
             if (this.code[this.position] === '\n') {
@@ -72,14 +101,25 @@ class JavaScriptLexer {
         }
     }
 
-    addToken(type, value, startPos = null, endPos = null) {
+    // Remember where the token being read begins; escapes and multi-line
+    // tokens make it impossible to recover this from the value afterwards
+    markTokenStart() {
+        this.tokenStart = { position: this.position, line: this.line, column: this.column };
+    }
+
+    // `extra` carries decoded data such as the cooked value of a string
+    addToken(type, value, extra = {}) {
+        const start = this.tokenStart || { position: this.position, line: this.line, column: this.column };
         this.tokens.push({
             type,
             value,
-            line: this.line,
-            column: this.column - (value?.length || 0),
-            start: startPos || this.position - (value?.length || 0),
-            end: endPos || this.position
+            ...extra,
+            line: start.line,
+            column: start.column,
+            start: start.position,
+            end: this.position,
+            endLine: this.line,
+            endColumn: this.column
         });
     }
 
@@ -98,66 +138,140 @@ class JavaScriptLexer {
         }
     }
 
+    // The token value is the source text; `cooked` holds the string value
     readString(quote) {
-        const startPos = this.position;
-        let value = '';
+        let cooked = '';
         this.advance(); // Skip opening quote
 
         while (this.currentChar() && this.currentChar() !== quote) {
-            if (this.currentChar() === '\\') {
+            const char = this.currentChar();
+            if (char === '\n' || char === '\r') {
+                break;
+            }
+
+            if (char === '\\') {
                 this.advance();
-                const escaped = this.currentChar();
-                if (escaped) {
-                    // Handle escape sequences
-                    switch (escaped) {
-                        case 'n': value += '\n'; break;
-                        case 't': value += '\t'; break;
-                        case 'r': value += '\r'; break;
-                        case '\\': value += '\\'; break;
-                        case quote: value += quote; break;
-                        default: value += escaped;
-                    }
-                    this.advance();
-                }
+                cooked += this.readEscapeSequence();
             } else {
-                value += this.currentChar();
+                cooked += char;
                 this.advance();
             }
         }
 
         if (this.currentChar() === quote) {
             this.advance(); // Skip closing quote
-            this.addToken(JavaScriptLexer.TOKEN_TYPES.STRING, quote + value + quote);
+            this.addToken(JavaScriptLexer.TOKEN_TYPES.STRING, this.code.slice(this.tokenStart.position, this.position), { cooked });
         } else {
             this.addError(`Unterminated string literal`);
         }
     }
 
+    // Escape after a backslash inside a string literal; returns the characters it stands for
+    readEscapeSequence() {
+        const char = this.currentChar();
+        if (char === null) return '';
+
+        // Line continuation: `\` + line terminator produces nothing
+        if (char === '\r' || char === '\n') {
+            this.advance();
+            if (char === '\r' && this.currentChar() === '\n') this.advance();
+            return '';
+        }
+
+        this.advance();
+        switch (char) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case 'v': return '\v';
+            case 'x': {
+                const hex = this.code.slice(this.position, this.position + 2);
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+                    this.addError("Invalid hexadecimal escape sequence: expected two hex digits after '\\x'");
+                    return '';
+                }
+                this.advance();
+                this.advance();
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            case 'u': {
+                const codePoint = this.readUnicodeEscapeBody();
+                return codePoint === null ? '' : String.fromCodePoint(codePoint);
+            }
+            default:
+                // Legacy octal escapes (`\101`, `\0` followed by a digit); the
+                // analyzer reports them in strict mode
+                if (/[0-7]/.test(char)) {
+                    let octal = char;
+                    const maxLength = char <= '3' ? 3 : 2;
+                    while (octal.length < maxLength && /[0-7]/.test(this.currentChar() || '')) {
+                        octal += this.currentChar();
+                        this.advance();
+                    }
+                    return String.fromCharCode(parseInt(octal, 8));
+                }
+                // `\8` and `\9` stand for the digit itself
+                return char;
+        }
+    }
+
+    // `XXXX` or `{X...}` after `\\u`; returns the code point or null after reporting an error
+    readUnicodeEscapeBody() {
+        if (this.currentChar() === '{') {
+            this.advance();
+            let hex = '';
+            while (this.currentChar() && /[0-9a-fA-F]/.test(this.currentChar())) {
+                hex += this.currentChar();
+                this.advance();
+            }
+
+            if (this.currentChar() !== '}' || hex === '') {
+                this.addError("Invalid Unicode escape sequence: expected hex digits and '}' in '\\u{...}'");
+                return null;
+            }
+            this.advance();
+
+            const codePoint = parseInt(hex, 16);
+            if (codePoint > 0x10FFFF) {
+                this.addError(`Undefined Unicode code point: '\\u{${hex}}' is greater than 0x10FFFF`);
+                return null;
+            }
+            return codePoint;
+        }
+
+        const hex = this.code.slice(this.position, this.position + 4);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            this.addError("Invalid Unicode escape sequence: expected four hex digits or '{' after '\\u'");
+            return null;
+        }
+        for (let i = 0; i < 4; i++) {
+            this.advance();
+        }
+        return parseInt(hex, 16);
+    }
+
+    // One template chunk: `` `text` ``, `` `text${ ``, `}text${` or `` }text` ``.
+    // Every `${` pushes a brace counter so the matching `}` resumes the template.
     readTemplateString() {
-        const startPos = this.position;
-        let value = '';
-        this.advance(); // Skip opening backtick
+        let value = this.currentChar();
+        this.advance(); // Opening backtick or the `}` closing a substitution
 
         while (this.currentChar() && this.currentChar() !== '`') {
             if (this.currentChar() === '\\') {
+                value += this.currentChar();
                 this.advance();
                 if (this.currentChar()) {
-                    value += '\\' + this.currentChar();
+                    value += this.currentChar();
                     this.advance();
                 }
             } else if (this.currentChar() === '$' && this.peekChar() === '{') {
-                // Handle template expressions ${...}
-                value += '${';
                 this.advance(); // $
                 this.advance(); // {
-                let braceCount = 1;
-
-                while (this.currentChar() && braceCount > 0) {
-                    if (this.currentChar() === '{') braceCount++;
-                    if (this.currentChar() === '}') braceCount--;
-                    value += this.currentChar();
-                    this.advance();
-                }
+                this.templateBraces.push(0);
+                this.addToken(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL, value + '${');
+                return;
             } else {
                 value += this.currentChar();
                 this.advance();
@@ -166,91 +280,369 @@ class JavaScriptLexer {
 
         if (this.currentChar() === '`') {
             this.advance(); // Skip closing backtick
-            this.addToken(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL, '`' + value + '`');
+            this.addToken(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL, value + '`');
         } else {
             this.addError(`Unterminated template literal`);
         }
     }
 
+    // The token value is the source text (`1_000n`, `0o17`, `.5`); the parser computes the value
     readNumber() {
-        let value = '';
-        let hasDecimal = false;
+        const errorCount = this.errors.length;
+        const char = this.currentChar();
+        const next = this.peekChar();
+
+        if (char === '0' && next && /[xXoObB]/.test(next)) {
+            const prefix = next.toLowerCase();
+            const radix = { x: 16, o: 8, b: 2 }[prefix];
+            const digit = { x: /[0-9a-fA-F]/, o: /[0-7]/, b: /[01]/ }[prefix];
+            this.advance();
+            this.advance();
 
-        // Handle hexadecimal, binary, octal
-        if (this.currentChar() === '0') {
-            const next = this.peekChar();
-            if (next === 'x' || next === 'X') {
-                value += this.currentChar();
+            if (!this.readDigits(digit)) {
+                this.addError(`Expected number in radix ${radix} after '0${next}'`);
+            }
+            this.readBigIntSuffix(true);
+        } else if (char === '0' && next && /\d/.test(next)) {
+            this.readLegacyOctal();
+        } else {
+            // Integer part (empty for `.5`), fraction and exponent
+            let isInteger = true;
+            if (char === '0' && next === '_') {
+                // `0_1` is neither a legacy octal nor a decimal literal
                 this.advance();
-                value += this.currentChar();
+                this.addError('Numeric separator is not allowed after a leading 0');
                 this.advance();
-
-                while (this.currentChar() && /[0-9a-fA-F]/.test(this.currentChar())) {
-                    value += this.currentChar();
-                    this.advance();
-                }
-
-                this.addToken(JavaScriptLexer.TOKEN_TYPES.NUMBER, value);
-                return;
             }
-            if (next === 'b' || next === 'B') {
-                value += this.currentChar();
-                this.advance();
-                value += this.currentChar();
+            this.readDigits(/\d/);
+
+            if (this.currentChar() === '.') {
+                isInteger = false;
                 this.advance();
+                this.readDigits(/\d/);
+            }
 
-                while (this.currentChar() && /[01]/.test(this.currentChar())) {
-                    value += this.currentChar();
+            if (this.currentChar() === 'e' || this.currentChar() === 'E') {
+                isInteger = false;
+                this.advance();
+                if (this.currentChar() === '+' || this.currentChar() === '-') {
                     this.advance();
                 }
+                if (!this.readDigits(/\d/)) {
+                    this.addError('Missing digits in the exponent of a numeric literal');
+                }
+            }
 
-                this.addToken(JavaScriptLexer.TOKEN_TYPES.NUMBER, value);
-                return;
+            this.readBigIntSuffix(isInteger);
+        }
+
+        // `3in x` or `0b12`: a name or another digit cannot follow a number
+        const following = this.currentCodePoint();
+        if (this.errors.length === errorCount && following &&
+            (JavaScriptLexer.ID_START.test(following) || /\d/.test(following))) {
+            this.addError(`Unexpected '${following}' directly after numeric literal`);
+        }
+
+        this.addToken(JavaScriptLexer.TOKEN_TYPES.NUMBER, this.code.slice(this.tokenStart.position, this.position));
+    }
+
+    // Digits matching `digit`, with `_` separators allowed only between two digits.
+    // Returns whether at least one digit was read.
+    readDigits(digit) {
+        let count = 0;
+
+        while (this.currentChar()) {
+            const char = this.currentChar();
+            if (digit.test(char)) {
+                count++;
+            } else if (char === '_') {
+                // `1__0` is reported once, at the first separator
+                if (this.code[this.position - 1] !== '_' && (count === 0 || !digit.test(this.peekChar() || ''))) {
+                    this.addError('Numeric separator is only allowed between two digits');
+                }
+            } else {
+                break;
             }
+            this.advance();
         }
 
-        // Regular decimal numbers
-        while (this.currentChar() && (/\d/.test(this.currentChar()) || this.currentChar() === '.')) {
-            if (this.currentChar() === '.') {
-                if (hasDecimal) break;
-                hasDecimal = true;
+        return count > 0;
+    }
+
+    readBigIntSuffix(allowed) {
+        if (this.currentChar() !== 'n') return;
+
+        if (!allowed) {
+            this.addError('Invalid BigInt literal: only integers can have the \'n\' suffix');
+        }
+        this.advance();
+    }
+
+    // `017` (octal) and `089` (decimal) from before ES5; the analyzer reports them in strict mode
+    readLegacyOctal() {
+        let isOctal = true;
+        while (this.currentChar() && /[\d_]/.test(this.currentChar())) {
+            if (this.currentChar() === '_') {
+                this.addError('Numeric separators are not allowed in legacy octal literals');
+            } else if (/[89]/.test(this.currentChar())) {
+                isOctal = false;
             }
-            value += this.currentChar();
             this.advance();
         }
 
-        // Scientific notation
-        if (this.currentChar() === 'e' || this.currentChar() === 'E') {
-            value += this.currentChar();
+        if (this.currentChar() === 'n') {
+            this.addError('Invalid BigInt literal: legacy octal literals cannot have the \'n\' suffix');
             this.advance();
+        } else if (!isOctal && (this.currentChar() === '.' || this.currentChar() === 'e' || this.currentChar() === 'E')) {
+            // `08.5` is a decimal number
+            if (this.currentChar() === '.') {
+                this.advance();
+                this.readDigits(/\d/);
+            }
+            if (this.currentChar() === 'e' || this.currentChar() === 'E') {
+                this.advance();
+                if (this.currentChar() === '+' || this.currentChar() === '-') this.advance();
+                if (!this.readDigits(/\d/)) {
+                    this.addError('Missing digits in the exponent of a numeric literal');
+                }
+            }
+        }
+    }
 
-            if (this.currentChar() === '+' || this.currentChar() === '-') {
-                value += this.currentChar();
+    // Identifier names may contain `\\uXXXX` / `\\u{X}` escapes; the value is the decoded name
+    readIdentifierName() {
+        let name = '';
+        let escaped = false;
+
+        while (this.position < this.code.length) {
+            let char = this.currentCodePoint();
+
+            if (char === '\\') {
+                const escapeStart = { line: this.line, column: this.column };
+                this.advance();
+                if (this.currentChar() !== 'u') {
+                    this.addError("Invalid escape in identifier: expected '\\u'");
+                    break;
+                }
                 this.advance();
+
+                const codePoint = this.readUnicodeEscapeBody();
+                if (codePoint === null) continue;
+
+                char = String.fromCodePoint(codePoint);
+                const valid = name === '' ? JavaScriptLexer.ID_START : JavaScriptLexer.ID_CONTINUE;
+                if (!valid.test(char)) {
+                    this.errors.push({
+                        message: `Escaped character U+${codePoint.toString(16).toUpperCase().padStart(4, '0')} is not valid in an identifier`,
+                        line: escapeStart.line,
+                        column: escapeStart.column,
+                        position: this.position
+                    });
+                }
+                name += char;
+                escaped = true;
+                continue;
             }
 
-            while (this.currentChar() && /\d/.test(this.currentChar())) {
-                value += this.currentChar();
+            const valid = name === '' ? JavaScriptLexer.ID_START : JavaScriptLexer.ID_CONTINUE;
+            if (!valid.test(char)) break;
+
+            name += char;
+            for (let i = 0; i < char.length; i++) {
                 this.advance();
             }
         }
 
-        this.addToken(JavaScriptLexer.TOKEN_TYPES.NUMBER, value);
+        return { name, escaped };
+    }
+
+    isIdentifierStart() {
+        const char = this.currentCodePoint();
+        return !!char && (JavaScriptLexer.ID_START.test(char) || (char === '\\' && this.peekChar() === 'u'));
     }
 
     readIdentifier() {
-        let value = '';
+        const { name, escaped } = this.readIdentifierName();
 
-        while (this.currentChar() && (/[a-zA-Z0-9_$]/.test(this.currentChar()))) {
-            value += this.currentChar();
-            this.advance();
+        // `\\u0069f` is not the keyword `if`, and cannot be used as a name either
+        if (escaped && JavaScriptLexer.KEYWORDS.has(name)) {
+            this.addError(`Keyword '${name}' must not contain escaped characters`);
         }
 
-        const type = JavaScriptLexer.KEYWORDS.has(value)
+        const type = JavaScriptLexer.KEYWORDS.has(name) && !escaped
             ? JavaScriptLexer.TOKEN_TYPES.KEYWORD
             : JavaScriptLexer.TOKEN_TYPES.IDENTIFIER;
 
-        this.addToken(type, value);
+        this.addToken(type, name, escaped ? { escaped } : {});
+    }
+
+    // Index of the last token before `index` that is not a comment, or -1
+    previousTokenIndex(index = this.tokens.length) {
+        let i = index - 1;
+        while (i >= 0 && this.tokens[i].type === JavaScriptLexer.TOKEN_TYPES.COMMENT) i--;
+        return i;
+    }
+
+    previousToken(index = this.tokens.length) {
+        return this.tokens[this.previousTokenIndex(index)] || null;
+    }
+
+    // Whether an expression rather than a statement starts after `previous`:
+    // a `{` there is an object literal and `function`/`class` an expression
+    startsExpression(previous) {
+        if (!previous) return false;
+
+        switch (previous.type) {
+            case JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL:
+                return previous.value.endsWith('${');
+            case JavaScriptLexer.TOKEN_TYPES.KEYWORD:
+                return ['return', 'typeof', 'instanceof', 'in', 'new', 'delete', 'void', 'throw', 'case', 'extends']
+                    .includes(previous.value);
+            case JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR:
+                // `{ a: {} }` is a property value, `a: {}` a labeled block
+                if (previous.value === ':') return !!this.braceStack[this.braceStack.length - 1];
+                return ['(', '[', ',', '...'].includes(previous.value);
+            case JavaScriptLexer.TOKEN_TYPES.OPERATOR:
+                // `=> {` is an arrow function body
+                return !['++', '--', '=>'].includes(previous.value);
+            default:
+                return false;
+        }
+    }
+
+    // Records whether a `function` or `class` keyword just read is an expression
+    trackFunctionOrClass() {
+        const keyword = this.tokens[this.tokens.length - 1];
+        if (keyword.type !== JavaScriptLexer.TOKEN_TYPES.KEYWORD) return;
+
+        if (keyword.value === 'function') {
+            let index = this.previousTokenIndex(this.tokens.length - 1);
+            if (this.tokens[index]?.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER && this.tokens[index].value === 'async') {
+                index = this.previousTokenIndex(index);
+            }
+            this.pendingFunction = this.startsExpression(this.tokens[index]);
+        } else if (keyword.value === 'class') {
+            this.pendingClass = {
+                expression: this.startsExpression(this.previousToken(this.tokens.length - 1)),
+                // The body is the first `{` outside the heritage expression
+                depth: this.parenStack.length + this.braceStack.length
+            };
+        }
+    }
+
+    // Whether the `{` about to be read starts an expression
+    braceStartsExpression() {
+        const previous = this.previousToken();
+        if (this.pendingClass && this.pendingClass.depth === this.parenStack.length + this.braceStack.length) {
+            const { expression } = this.pendingClass;
+            this.pendingClass = null;
+            return expression;
+        }
+        if (previous && previous.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR && previous.value === ')') {
+            return this.lastParenClosed === 'function';
+        }
+        return this.startsExpression(previous);
+    }
+
+    // A `/` starts a regex unless the previous token ends an expression,
+    // in which case it is a division
+    isRegexAllowed() {
+        const index = this.previousTokenIndex();
+        const previous = this.tokens[index];
+        if (!previous) return true;
+
+        switch (previous.type) {
+            case JavaScriptLexer.TOKEN_TYPES.IDENTIFIER: {
+                // `yield /re/`, `await /re/` and `of /re/` take an operand; `obj.of / 2` does not
+                if (!['yield', 'await', 'of'].includes(previous.value) || previous.escaped) return false;
+                const before = this.previousToken(index);
+                return !before || before.type !== JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR || !['.', '?.'].includes(before.value);
+            }
+            case JavaScriptLexer.TOKEN_TYPES.PRIVATE_NAME:
+            case JavaScriptLexer.TOKEN_TYPES.NUMBER:
+            case JavaScriptLexer.TOKEN_TYPES.STRING:
+            case JavaScriptLexer.TOKEN_TYPES.REGEX:
+                return false;
+            case JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL:
+                // `${ /re/ }` starts an expression
+                return previous.value.endsWith('${');
+            case JavaScriptLexer.TOKEN_TYPES.KEYWORD:
+                return !['this', 'super', 'null', 'true', 'false'].includes(previous.value);
+            case JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR:
+                // `if (x) /re/.test(s)`: after a statement head the regex starts a statement
+                if (previous.value === ')') return this.lastParenClosed === 'head';
+                // `{} / 1` divides an object literal; after a block a regex starts a statement
+                if (previous.value === '}') return !this.lastBraceClosedExpression;
+                return previous.value !== ']';
+            case JavaScriptLexer.TOKEN_TYPES.OPERATOR:
+                return !['++', '--'].includes(previous.value);
+            default:
+                return true;
+        }
+    }
+
+    // `/pattern/flags`; `/` inside a character class does not end the pattern
+    readRegex() {
+        let pattern = '';
+        let inClass = false;
+        this.advance(); // Skip opening slash
+
+        while (this.currentChar() && this.currentChar() !== '\n') {
+            const char = this.currentChar();
+
+            if (char === '\\') {
+                pattern += char;
+                this.advance();
+                if (!this.currentChar() || this.currentChar() === '\n') break;
+                pattern += this.currentChar();
+                this.advance();
+                continue;
+            }
+
+            if (char === '/' && !inClass) break;
+            if (char === '[') inClass = true;
+            if (char === ']') inClass = false;
+
+            pattern += char;
+            this.advance();
+        }
+
+        if (this.currentChar() !== '/') {
+            this.addError('Unterminated regular expression literal');
+            return;
+        }
+        this.advance(); // Skip closing slash
+
+        let flags = '';
+        while (this.currentChar() && /[a-zA-Z0-9_$]/.test(this.currentChar())) {
+            flags += this.currentChar();
+            this.advance();
+        }
+
+        const unknownFlag = [...flags].find(flag => !JavaScriptLexer.REGEX_FLAGS.includes(flag));
+        const repeatedFlag = [...flags].find((flag, index) => flags.indexOf(flag) !== index);
+        if (unknownFlag) {
+            this.addError(`Invalid regular expression flag '${unknownFlag}' in '${flags}'`);
+        } else if (repeatedFlag) {
+            this.addError(`Duplicate regular expression flag '${repeatedFlag}' in '${flags}'`);
+        } else if (flags.includes('u') && flags.includes('v')) {
+            this.addError(`Invalid regular expression flags '${flags}': 'u' and 'v' cannot be combined`);
+        } else {
+            try {
+                new RegExp(pattern, flags);
+            } catch (error) {
+                this.addError(error.message);
+            }
+        }
+
+        this.addToken(JavaScriptLexer.TOKEN_TYPES.REGEX, `/${pattern}/${flags}`);
+    }
+
+    // Class private names: `#field`
+    readPrivateName() {
+        this.advance(); // #
+        const { name } = this.readIdentifierName();
+        this.addToken(JavaScriptLexer.TOKEN_TYPES.PRIVATE_NAME, '#' + name);
     }
 
     readComment() {
@@ -289,19 +681,17 @@ class JavaScriptLexer {
     }
 
     readOperator() {
+        // Longest match first: `>>>=` before `>>>` before `>>` before `>`
         let value = this.currentChar();
-        this.advance();
-
-        // Check for multi-character operators
-        const possible2 = value + (this.currentChar() || '');
-        const possible3 = possible2 + (this.peekChar() || '');
+        for (let length = 4; length > 1; length--) {
+            const candidate = this.code.slice(this.position, this.position + length);
+            if (JavaScriptLexer.OPERATORS.has(candidate)) {
+                value = candidate;
+                break;
+            }
+        }
 
-        if (JavaScriptLexer.OPERATORS.has(possible3)) {
-            value = possible3;
-            this.advance();
-            this.advance();
-        } else if (JavaScriptLexer.OPERATORS.has(possible2)) {
-            value = possible2;
+        for (let i = 0; i < value.length; i++) {
             this.advance();
         }
 
@@ -314,6 +704,7 @@ class JavaScriptLexer {
 
             if (this.position >= this.code.length) break;
 
+            this.markTokenStart();
             const char = this.currentChar();
 
             // String literals
@@ -324,22 +715,69 @@ class JavaScriptLexer {
             else if (char === '`') {
                 this.readTemplateString();
             }
-            // Numbers
-            else if (/\d/.test(char)) {
+            // Numbers, including `.5`
+            else if (/\d/.test(char) || (char === '.' && /\d/.test(this.peekChar() || ''))) {
                 this.readNumber();
             }
             // Identifiers and keywords
-            else if (/[a-zA-Z_$]/.test(char)) {
+            else if (this.isIdentifierStart()) {
                 this.readIdentifier();
+                this.trackFunctionOrClass();
+            }
+            // Private class members
+            else if (char === '#' && this.position + 1 < this.code.length &&
+                (JavaScriptLexer.ID_START.test(String.fromCodePoint(this.code.codePointAt(this.position + 1))) || this.peekChar() === '\\')) {
+                this.readPrivateName();
             }
             // Comments
             else if (char === '/' && (this.peekChar() === '/' || this.peekChar() === '*')) {
                 this.readComment();
             }
+            // Regular expressions, when a `/` cannot be a division
+            else if (char === '/' && this.isRegexAllowed()) {
+                this.readRegex();
+            }
+            // Spread / rest
+            else if (char === '.' && this.peekChar() === '.' && this.peekChar(2) === '.') {
+                this.advance();
+                this.advance();
+                this.advance();
+                this.addToken(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...');
+            }
+            // Optional chaining; `a?.5:b` is a conditional with a decimal literal
+            else if (char === '?' && this.peekChar() === '.' && !/\d/.test(this.peekChar(2) || '')) {
+                this.advance();
+                this.advance();
+                this.addToken(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '?.');
+            }
+            // `}` closing a template substitution continues the template
+            else if (char === '}' && this.templateBraces[this.templateBraces.length - 1] === 0) {
+                this.templateBraces.pop();
+                this.readTemplateString();
+            }
             // Punctuators
             else if (JavaScriptLexer.PUNCTUATORS.has(char)) {
-                this.addToken(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, char);
+                if (this.templateBraces.length > 0 && (char === '{' || char === '}')) {
+                    this.templateBraces[this.templateBraces.length - 1] += char === '{' ? 1 : -1;
+                }
+                if (char === '(') {
+                    const previous = this.tokens[this.tokens.length - 1];
+                    if (previous && previous.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD &&
+                        ['if', 'while', 'for', 'with'].includes(previous.value)) {
+                        this.parenStack.push('head');
+                    } else {
+                        this.parenStack.push(this.pendingFunction ? 'function' : null);
+                        this.pendingFunction = null;
+                    }
+                } else if (char === ')') {
+                    this.lastParenClosed = this.parenStack.pop() || null;
+                } else if (char === '{') {
+                    this.braceStack.push(this.braceStartsExpression());
+                } else if (char === '}') {
+                    this.lastBraceClosedExpression = !!this.braceStack.pop();
+                }
                 this.advance();
+                this.addToken(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, char);
             }
             // Operators
             else if (JavaScriptLexer.OPERATORS.has(char)) {
@@ -347,12 +785,16 @@ class JavaScriptLexer {
             }
             // Invalid characters
             else {
-                this.addError(`Unexpected character: '${char}'`);
-                this.addToken(JavaScriptLexer.TOKEN_TYPES.INVALID, char);
-                this.advance();
+                const invalid = this.currentCodePoint();
+                this.addError(`Unexpected character: '${invalid}' (U+${invalid.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')})`);
+                for (let i = 0; i < invalid.length; i++) {
+                    this.advance();
+                }
+                this.addToken(JavaScriptLexer.TOKEN_TYPES.INVALID, invalid);
             }
         }
 
+        this.markTokenStart();
         this.addToken(JavaScriptLexer.TOKEN_TYPES.EOF, '');
         return { tokens: this.tokens, errors: this.errors };
     }
@@ -360,10 +802,41 @@ class JavaScriptLexer {
 
 // Simple Recursive Descent Parser
 class JavaScriptParser {
-    constructor(tokens) {
-        this.tokens = tokens.filter(t => t.type !== JavaScriptLexer.TOKEN_TYPES.WHITESPACE);
+    // Errors reported at one token; more are cascades of the first one
+    static MAX_ERRORS_PER_LOCATION = 1;
+
+    static ASSIGNMENT_OPERATORS = [
+        '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+        '&=', '|=', '^=', '&&=', '||=', '??='
+    ];
+
+    constructor(tokens, options = {}) {
+        // `asiWarnings`: report every inserted semicolon and lines that continue the previous statement
+        this.options = { asiWarnings: false, ...options };
+        this.tokens = tokens.filter(t =>
+            t.type !== JavaScriptLexer.TOKEN_TYPES.WHITESPACE &&
+            t.type !== JavaScriptLexer.TOKEN_TYPES.COMMENT
+        );
+        this.comments = tokens.filter(t => t.type === JavaScriptLexer.TOKEN_TYPES.COMMENT);
         this.position = 0;
+        this.lastToken = null;
+        // Set while parsing a for-loop head, where `in` starts a for-in instead of being an operator
+        this.noIn = false;
+        // Nodes wrapped in parentheses, which changes `??` mixing and `**` rules
+        this.parenthesizedNodes = new WeakSet();
+        // `{ a = 1 }` properties still waiting to become part of a destructuring pattern
+        this.coverInitializers = new Set();
+        // Error count per `line:column`, to cap cascaded errors, and how many were dropped
+        this.errorLocations = new Map();
+        this.suppressedErrors = 0;
+        // `async`/`generator` flags of the enclosing functions, innermost last
+        this.functionContext = [];
+        // Any import/export makes the source a module, where top-level `await` is an operator
+        this.isModule = this.tokens.some((token, index) => token.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD &&
+            (token.value === 'import' || token.value === 'export') &&
+            !['(', '.'].includes(this.tokens[index + 1]?.value));
         this.errors = [];
+        this.warnings = [];
         this.ast = null;
     }
 
@@ -378,6 +851,7 @@ class JavaScriptParser {
 
     advance() {
         if (this.position < this.tokens.length) {
+            this.lastToken = this.tokens[this.position];
             this.position++;
         }
         return this.currentToken();
@@ -394,14 +868,24 @@ class JavaScriptParser {
             this.advance();
             return token;
         } else {
-            const error = errorMessage || `Expected ${type}${value ? ` '${value}'` : ''} but found ${this.currentToken()?.type || 'EOF'}`;
+            const found = this.currentToken();
+            const error = errorMessage || (type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER && found?.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD
+                ? `Unexpected reserved word '${found.value}': it cannot be used as an identifier`
+                : `Expected ${type}${value ? ` '${value}'` : ''} but found ${found?.type || 'EOF'}`);
             this.addError(error);
             return null;
         }
     }
 
-    addError(message) {
-        const token = this.currentToken();
+    addError(message, token = this.currentToken()) {
+        const location = `${token?.line || 0}:${token?.column || 0}`;
+        const count = this.errorLocations.get(location) || 0;
+        this.errorLocations.set(location, count + 1);
+        if (count >= JavaScriptParser.MAX_ERRORS_PER_LOCATION) {
+            this.suppressedErrors++;
+            return;
+        }
+
         this.errors.push({
             message,
             line: token?.line || 0,
@@ -410,65 +894,539 @@ class JavaScriptParser {
         });
     }
 
+    addWarning(message, token = this.currentToken()) {
+        this.warnings.push({
+            message,
+            line: token?.line || 0,
+            column: token?.column || 0,
+            token: token?.value || 'EOF'
+        });
+    }
+
+    // A line terminator between the previous token and the current one
+    hasLineBreakBefore() {
+        const token = this.currentToken();
+        return !!token && !!this.lastToken && token.line > this.lastToken.endLine;
+    }
+
+    // Automatic semicolon insertion: a missing `;` is accepted before `}`, at the
+    // end of the input or when a line break follows the statement
+    consumeSemicolon() {
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';')) {
+            this.advance();
+            return;
+        }
+
+        const token = this.currentToken();
+        if (!token || token.type === JavaScriptLexer.TOKEN_TYPES.EOF ||
+            this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') || this.hasLineBreakBefore()) {
+            if (this.options.asiWarnings && this.lastToken) {
+                this.addWarning(`Missing semicolon: inserted automatically after '${this.lastToken.value}'`, {
+                    line: this.lastToken.endLine,
+                    column: this.lastToken.endColumn,
+                    value: this.lastToken.value
+                });
+            }
+            return;
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';');
+    }
+
+    // `(`, `[` or a template at the start of a line continue the previous
+    // expression instead of starting a statement
+    checkContinuationHazard() {
+        if (this.options.asiWarnings && this.hasLineBreakBefore()) {
+            this.addWarning(`Line starting with '${this.currentToken().value[0]}' continues the previous expression; no semicolon is inserted before it`);
+        }
+    }
+
+    // Source locations (ESTree style): lines are 1-based, columns 0-based and
+    // `range` holds [start, end) character offsets. A node spans from its first
+    // token to the last token consumed while parsing it.
+    finishNode(node, startToken, endToken = this.lastToken) {
+        if (!startToken) return node;
+
+        // Nothing consumed since startToken (error recovery): empty span at its start
+        const end = endToken && endToken.end >= startToken.end ? endToken : null;
+
+        node.loc = {
+            start: { line: startToken.line, column: startToken.column - 1 },
+            end: end
+                ? { line: end.endLine, column: end.endColumn - 1 }
+                : { line: startToken.line, column: startToken.column - 1 }
+        };
+        node.range = [startToken.start, end ? end.end : startToken.start];
+
+        return node;
+    }
+
+    createIdentifier(token) {
+        return this.finishNode({ type: 'Identifier', name: token.value }, token, token);
+    }
+
+    createStringLiteral(token) {
+        return this.finishNode({ type: 'Literal', value: token.cooked, raw: token.value }, token, token);
+    }
+
+    // Separators are dropped; BigInts keep their value in decimal in `bigint`, as in ESTree
+    createNumericLiteral(token) {
+        const raw = token.value;
+        const digits = raw.replace(/_/g, '');
+        const node = { type: 'Literal', value: null, raw };
+
+        if (digits.endsWith('n')) {
+            node.bigint = digits.slice(0, -1);
+            try {
+                node.value = BigInt(node.bigint);
+                node.bigint = node.value.toString();
+            } catch {
+                // `1.5n` was already reported by the lexer
+            }
+        } else if (/^0[0-7]+$/.test(digits)) {
+            node.value = parseInt(digits, 8);
+        } else {
+            node.value = Number(digits);
+        }
+
+        return this.finishNode(node, token, token);
+    }
+
+    // Placeholder for a missing or unparseable piece, so the tree keeps its shape;
+    // it spans the tokens consumed since `startToken` (none for a missing node)
+    createErrorNode(message, startToken = this.currentToken()) {
+        return this.finishNode({ type: 'ErrorNode', message }, startToken);
+    }
+
+    createPrivateIdentifier(token) {
+        return this.finishNode({ type: 'PrivateIdentifier', name: token.value.slice(1) }, token, token);
+    }
+
     // Grammar productions
     parseProgram() {
+        // The program spans the whole source, leading whitespace and comments included
+        const startToken = { line: 1, column: 1, start: 0, end: 0 };
         const statements = [];
 
         while (this.currentToken() && this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            const stmtStart = this.currentToken();
             try {
-                const stmt = this.parseStatement();
-                if (stmt) statements.push(stmt);
+                this.parseStatementListItem(statements, () => this.parseModuleItem());
             } catch (error) {
                 this.addError(`Parse error: ${error.message}`);
                 // Skip to next statement
                 this.synchronize();
+                statements.push(this.createErrorNode(error.message, stmtStart));
             }
         }
 
-        return {
+        // Any import or export makes the file an ES module
+        const isModule = statements.some(stmt => [
+            'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration', 'ExportAllDeclaration'
+        ].includes(stmt.type));
+
+        this.markDirectives(statements);
+
+        return this.finishNode({
             type: 'Program',
-            body: statements
-        };
+            body: statements,
+            sourceType: isModule ? 'module' : 'script'
+        }, startToken, this.currentToken());
     }
 
-    synchronize() {
-        this.advance();
-        while (this.currentToken() && this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
-            if (this.currentToken().value === ';') {
-                this.advance();
-                return;
-            }
+    // `import` / `export` declarations are only allowed at the top level
+    isModuleDeclarationStart() {
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'export')) return true;
 
-            if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD)) {
-                const keyword = this.currentToken().value;
-                if (['function', 'var', 'let', 'const', 'if', 'while', 'for', 'return'].includes(keyword)) {
-                    return;
-                }
+        // `import(...)` and `import.meta` are expressions
+        const next = this.peekToken();
+        return this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'import') &&
+            !(next && next.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR && (next.value === '(' || next.value === '.'));
+    }
+
+    parseModuleItem() {
+        if (this.isModuleDeclarationStart()) {
+            return this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'import')
+                ? this.parseImportDeclaration()
+                : this.parseExportDeclaration();
+        }
+
+        return this.parseStatement();
+    }
+
+    // `'module'` string after `from`
+    parseModuleSource() {
+        const token = this.consume(JavaScriptLexer.TOKEN_TYPES.STRING, null, 'Expected module specifier string');
+        if (!token) return null;
+        return this.createStringLiteral(token);
+    }
+
+    // Import attributes after a module source: `with { type: 'json' }`
+    parseImportAttributes() {
+        const attributes = [];
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'with')) return attributes;
+
+        this.advance();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
+        const keys = new Set();
+        while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+            this.currentToken() &&
+            this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            const keyToken = this.currentToken();
+            const key = this.parseModuleExportName();
+            if (!key) break;
+
+            const name = key.type === 'Identifier' ? key.name : key.value;
+            if (keys.has(name)) {
+                this.addError(`Duplicate import attribute '${name}'`, keyToken);
+            }
+            keys.add(name);
+
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':');
+            const value = this.parseModuleSource();
+            attributes.push(this.finishNode({ type: 'ImportAttribute', key, value }, keyToken));
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                this.advance();
+            } else {
+                break;
+            }
+        }
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
+        return attributes;
+    }
+
+    // Names in `{ a as b }` lists: identifiers, keywords (`default`) or strings
+    parseModuleExportName() {
+        const token = this.currentToken();
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.STRING)) {
+            this.advance();
+            return this.createStringLiteral(token);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) || this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD)) {
+            this.advance();
+            return this.createIdentifier(token);
+        }
+
+        this.addError(`Unexpected token in module specifier: '${token?.value || 'EOF'}'`);
+        this.advance();
+        return null;
+    }
+
+    parseImportDeclaration() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'import');
+        const specifiers = [];
+
+        // `import 'side-effect';`
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.STRING)) {
+            // Default binding: `import React from ...`
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
+                const localToken = this.currentToken();
+                this.advance();
+                specifiers.push(this.finishNode({
+                    type: 'ImportDefaultSpecifier',
+                    local: this.createIdentifier(localToken)
+                }, localToken));
+
+                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                    this.advance();
+                }
+            }
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '*')) {
+                // Namespace: `* as ns`
+                const namespaceStart = this.currentToken();
+                this.advance();
+                this.expectContextualKeyword('as');
+                const localToken = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+                if (localToken) {
+                    specifiers.push(this.finishNode({
+                        type: 'ImportNamespaceSpecifier',
+                        local: this.createIdentifier(localToken)
+                    }, namespaceStart));
+                }
+            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{')) {
+                // Named: `{ a, b as c }`
+                this.advance();
+                while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+                    this.currentToken() &&
+                    this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+                    const specifierStart = this.currentToken();
+                    const imported = this.parseModuleExportName();
+                    if (!imported) break;
+
+                    let local = imported;
+                    if (this.isContextualKeyword('as')) {
+                        this.advance();
+                        const localToken = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+                        local = localToken ? this.createIdentifier(localToken) : null;
+                    } else if (imported.type !== 'Identifier' || specifierStart.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD) {
+                        this.addError(`'${specifierStart.value}' must be renamed with 'as' when imported`);
+                    }
+
+                    specifiers.push(this.finishNode({
+                        type: 'ImportSpecifier',
+                        imported,
+                        local: local === imported ? { ...imported } : local
+                    }, specifierStart));
+
+                    if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                        this.advance();
+                    } else {
+                        break;
+                    }
+                }
+                this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
+            }
+
+            this.expectContextualKeyword('from');
+        }
+
+        const source = this.parseModuleSource();
+        const attributes = this.parseImportAttributes();
+        this.consumeSemicolon();
+
+        return this.finishNode({
+            type: 'ImportDeclaration',
+            specifiers,
+            source,
+            attributes
+        }, startToken);
+    }
+
+    parseExportDeclaration() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'export');
+
+        // `export * from 'mod'` / `export * as ns from 'mod'`
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '*')) {
+            this.advance();
+            let exported = null;
+            if (this.isContextualKeyword('as')) {
+                this.advance();
+                exported = this.parseModuleExportName();
+            }
+            this.expectContextualKeyword('from');
+            const source = this.parseModuleSource();
+            const attributes = this.parseImportAttributes();
+            this.consumeSemicolon();
+
+            return this.finishNode({
+                type: 'ExportAllDeclaration',
+                exported,
+                source,
+                attributes
+            }, startToken);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'default')) {
+            this.advance();
+            let declaration;
+
+            // Function and class declarations may be anonymous here
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'function') || this.isAsyncFunctionStart()) {
+                declaration = this.parseFunction(true, true);
+            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'class')) {
+                declaration = this.parseClass(true, true);
+            } else {
+                declaration = this.parseAssignmentExpression();
+                this.consumeSemicolon();
+            }
+
+            return this.finishNode({
+                type: 'ExportDefaultDeclaration',
+                declaration
+            }, startToken);
+        }
+
+        // `export { a, b as c }` with an optional `from 'mod'`
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{')) {
+            this.advance();
+            const specifiers = [];
+
+            while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+                this.currentToken() &&
+                this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+                const specifierStart = this.currentToken();
+                const local = this.parseModuleExportName();
+                if (!local) break;
+
+                let exported = local;
+                if (this.isContextualKeyword('as')) {
+                    this.advance();
+                    exported = this.parseModuleExportName();
+                }
+
+                specifiers.push(this.finishNode({
+                    type: 'ExportSpecifier',
+                    local,
+                    exported: exported === local ? { ...local } : exported
+                }, specifierStart));
+
+                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            }
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
+
+            let source = null;
+            let attributes = [];
+            if (this.isContextualKeyword('from')) {
+                this.advance();
+                source = this.parseModuleSource();
+                attributes = this.parseImportAttributes();
+            }
+            this.consumeSemicolon();
+
+            return this.finishNode({
+                type: 'ExportNamedDeclaration',
+                declaration: null,
+                specifiers,
+                source,
+                attributes
+            }, startToken);
+        }
+
+        // `export const x = 1`, `export function f() {}`, `export class C {}`
+        let declaration = null;
+        if (this.isVariableDeclarationStart()) {
+            declaration = this.parseVariableDeclaration();
+        } else if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'function') || this.isAsyncFunctionStart()) {
+            declaration = this.parseFunctionDeclaration();
+        } else if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'class')) {
+            declaration = this.parseClass(true);
+        } else {
+            this.addError(`Unexpected token after 'export': '${this.currentToken()?.value || 'EOF'}'`);
+            this.advance();
+        }
+
+        return this.finishNode({
+            type: 'ExportNamedDeclaration',
+            declaration,
+            specifiers: [],
+            source: null,
+            attributes: []
+        }, startToken);
+    }
+
+    expectContextualKeyword(value) {
+        if (this.isContextualKeyword(value)) {
+            this.advance();
+        } else {
+            this.addError(`Expected '${value}' but found '${this.currentToken()?.value || 'EOF'}'`);
+        }
+    }
+
+    // Skips the rest of a broken statement: up to and including `;`, or up to a
+    // statement keyword, a new line or the `}` of the enclosing block. Brackets
+    // opened while skipping are skipped as a whole.
+    synchronize() {
+        const start = this.position;
+        let depth = 0;
+
+        while (this.currentToken() && this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            const token = this.currentToken();
+            const moved = this.position > start;
+
+            if (depth === 0) {
+                if (token.value === ';' && token.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR) {
+                    this.advance();
+                    return;
+                }
+                if (token.value === '}' && token.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR) return;
+                if (moved && (this.hasLineBreakBefore() || this.isStatementKeyword())) return;
+            }
+
+            if (token.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR) {
+                if (['(', '[', '{'].includes(token.value)) {
+                    depth++;
+                } else if ([')', ']', '}'].includes(token.value) && depth > 0) {
+                    depth--;
+                }
             }
 
             this.advance();
         }
     }
 
+    isStatementKeyword() {
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD) && !this.isContextualKeyword('let')) return false;
+
+        return ['function', 'class', 'var', 'let', 'const', 'if', 'while', 'for', 'do', 'switch',
+            'try', 'throw', 'break', 'continue', 'return', 'import', 'export'].includes(this.currentToken().value);
+    }
+
+    // Parses one item of a statement list (or class body) into `list`. When the
+    // item has a syntax error, the rest of it is skipped and kept as an ErrorNode,
+    // so a typo does not hide the statements that follow.
+    parseStatementListItem(list, parseItem = () => this.parseStatement()) {
+        const startPosition = this.position;
+        const errorCount = this.errorCount();
+
+        const item = parseItem();
+        // An item that consumed nothing is replaced by the skipped tokens below
+        if (item && this.position > startPosition) list.push(item);
+
+        const failed = this.errorCount() > errorCount;
+        if (this.position > startPosition && (!failed || this.atStatementBoundary())) return;
+
+        const skipStart = this.currentToken();
+        this.synchronize();
+        if (this.position === startPosition) {
+            // Nothing could be parsed here: drop the token so the loop makes progress
+            this.advance();
+        }
+        if (this.lastToken && this.lastToken.end > skipStart.start) {
+            list.push(this.createErrorNode('Skipped tokens after a syntax error', skipStart));
+        }
+    }
+
+    // Includes errors suppressed as cascades, which also mean the item failed
+    errorCount() {
+        return this.errors.length + this.suppressedErrors;
+    }
+
+    // The parser stopped where the next statement can begin
+    atStatementBoundary() {
+        const current = this.currentToken();
+        const previous = this.lastToken;
+        return !current || current.type === JavaScriptLexer.TOKEN_TYPES.EOF || current.value === '}' ||
+            previous?.value === ';' || previous?.value === '}' || this.hasLineBreakBefore();
+    }
+
     parseStatement() {
         if (!this.currentToken()) return null;
 
-        // Skip comments
-        if (this.currentToken().type === JavaScriptLexer.TOKEN_TYPES.COMMENT) {
-            this.advance();
-            return this.parseStatement();
+        if (this.isAsyncFunctionStart()) {
+            return this.parseFunctionDeclaration();
+        }
+
+        if (this.isModuleDeclarationStart()) {
+            this.addError(`'${this.currentToken().value}' declarations may only appear at the top level of a module`);
+            return this.parseModuleItem();
         }
 
         if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'function')) {
             return this.parseFunctionDeclaration();
         }
 
-        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'var') ||
-            this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'let') ||
-            this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'const')) {
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'class')) {
+            return this.parseClass(true);
+        }
+
+        if (this.isVariableDeclarationStart()) {
             return this.parseVariableDeclaration();
         }
 
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'with')) {
+            return this.parseWithStatement();
+        }
+
         if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'if')) {
             return this.parseIfStatement();
         }
@@ -481,78 +1439,800 @@ class JavaScriptParser {
             return this.parseForStatement();
         }
 
-        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'return')) {
-            return this.parseReturnStatement();
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'do')) {
+            return this.parseDoWhileStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'return')) {
+            return this.parseReturnStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'switch')) {
+            return this.parseSwitchStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'try')) {
+            return this.parseTryStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'throw')) {
+            return this.parseThrowStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'break') ||
+            this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'continue')) {
+            return this.parseBreakContinueStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'debugger')) {
+            return this.parseDebuggerStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{')) {
+            return this.parseBlockStatement();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';')) {
+            const startToken = this.currentToken();
+            this.advance();
+            return this.finishNode({ type: 'EmptyStatement' }, startToken);
+        }
+
+        // `label: statement`
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) &&
+            this.peekToken()?.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR &&
+            this.peekToken()?.value === ':') {
+            return this.parseLabeledStatement();
+        }
+
+        // Expression statement
+        return this.parseExpressionStatement();
+    }
+
+    // `var`/`const`, or `let` followed by a binding (`let = 1` assigns a variable named let)
+    isVariableDeclarationStart() {
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'var') || this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'const')) {
+            return true;
+        }
+
+        const next = this.peekToken();
+        return this.isContextualKeyword('let') && !!next &&
+            (next.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER || next.value === '[' || next.value === '{');
+    }
+
+    inGenerator() {
+        const context = this.functionContext[this.functionContext.length - 1];
+        return !!context && context.generator;
+    }
+
+    inAsync() {
+        const context = this.functionContext[this.functionContext.length - 1];
+        return context ? context.async : this.isModule;
+    }
+
+    // `await` in async functions and modules and `yield` in generators are operators, never names
+    checkContextualName(token, context = null) {
+        const isAsync = context ? context.async : this.inAsync();
+        const isGenerator = context ? context.generator : this.inGenerator();
+        if (token.value === 'await' && isAsync) {
+            this.addError("Cannot use 'await' as an identifier inside an async function or module", token);
+        } else if (token.value === 'yield' && isGenerator) {
+            this.addError("Cannot use 'yield' as an identifier inside a generator", token);
+        }
+    }
+
+    // Outside async functions and generators `await`/`yield` are plain names, but
+    // `await fetch()` there is almost certainly meant as the operator: parse it
+    // as one so the semantic analyzer can report the misplaced keyword
+    isOperandStart(token) {
+        if (!token || token.line !== this.currentToken().line) return false;
+
+        switch (token.type) {
+            case JavaScriptLexer.TOKEN_TYPES.IDENTIFIER:
+            case JavaScriptLexer.TOKEN_TYPES.NUMBER:
+            case JavaScriptLexer.TOKEN_TYPES.STRING:
+            case JavaScriptLexer.TOKEN_TYPES.REGEX:
+                return true;
+            case JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL:
+                return token.value.startsWith('`');
+            case JavaScriptLexer.TOKEN_TYPES.KEYWORD:
+                return ['this', 'function', 'class', 'new', 'true', 'false', 'null', 'typeof', 'void', 'delete', 'super']
+                    .includes(token.value);
+            default:
+                return false;
+        }
+    }
+
+    // Function bodies track async/generator context and their directive prologue
+    parseFunctionBody(isAsync, isGenerator) {
+        this.functionContext.push({ async: isAsync, generator: isGenerator });
+        const body = this.parseBlockStatement();
+        this.functionContext.pop();
+
+        this.markDirectives(body.body);
+        return body;
+    }
+
+    // Leading string-literal statements form the directive prologue (`'use strict'`)
+    markDirectives(statements) {
+        for (const stmt of statements) {
+            const expression = stmt.expression;
+            if (stmt.type !== 'ExpressionStatement' || expression?.type !== 'Literal' ||
+                typeof expression.value !== 'string' || this.parenthesizedNodes.has(expression)) {
+                break;
+            }
+            stmt.directive = expression.raw.slice(1, -1);
+        }
+    }
+
+    parseFunctionDeclaration() {
+        return this.parseFunction(true);
+    }
+
+    parseFunctionExpression() {
+        return this.parseFunction(false);
+    }
+
+    // `async function` only when both words are on the same line
+    isAsyncFunctionStart() {
+        const next = this.peekToken();
+        return this.isContextualKeyword('async') && !!next &&
+            next.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD && next.value === 'function' &&
+            next.line === this.currentToken().line;
+    }
+
+    // `[async] function [*] name(params) { ... }`; the name is optional for
+    // expressions and for `export default function () {}`
+    parseFunction(isDeclaration, nameOptional = !isDeclaration) {
+        const startToken = this.currentToken();
+
+        let isAsync = false;
+        if (this.isAsyncFunctionStart()) {
+            this.advance();
+            isAsync = true;
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'function');
+
+        let isGenerator = false;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '*')) {
+            this.advance();
+            isGenerator = true;
+        }
+
+        // A declaration's name belongs to the enclosing scope, an expression's to its own
+        const context = { async: isAsync, generator: isGenerator };
+        let id = null;
+        if (!nameOptional || this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
+            id = this.parseBindingIdentifier(isDeclaration ? null : context);
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+        const params = this.parseParameterList(context);
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+
+        const body = this.parseFunctionBody(isAsync, isGenerator);
+
+        return this.finishNode({
+            type: isDeclaration ? 'FunctionDeclaration' : 'FunctionExpression',
+            id,
+            params,
+            body,
+            generator: isGenerator,
+            async: isAsync
+        }, startToken);
+    }
+
+    // `class Name extends Base { ... }`; the name is optional for expressions
+    parseClass(isDeclaration, nameOptional = !isDeclaration) {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'class');
+
+        let id = null;
+        if (!nameOptional || this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
+            id = this.parseBindingIdentifier();
+        }
+
+        let superClass = null;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'extends')) {
+            this.advance();
+            superClass = this.parseCallExpression();
+        }
+
+        const body = this.parseClassBody();
+
+        return this.finishNode({
+            type: isDeclaration ? 'ClassDeclaration' : 'ClassExpression',
+            id,
+            superClass,
+            body
+        }, startToken);
+    }
+
+    parseClassBody() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
+        const body = [];
+
+        while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+            this.currentToken() &&
+            this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';')) {
+                this.advance();
+                continue;
+            }
+
+            this.parseStatementListItem(body, () => this.parseClassMember());
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
+
+        return this.finishNode({
+            type: 'ClassBody',
+            body
+        }, startToken);
+    }
+
+    // `static`, `get` and `set` are modifiers only when a member name follows;
+    // `static() {}` or `get = 1` use them as plain names
+    isClassModifier(value) {
+        const token = this.currentToken();
+        if (!token || token.value !== value) return false;
+        if (token.type !== JavaScriptLexer.TOKEN_TYPES.KEYWORD && token.type !== JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) return false;
+
+        const next = this.peekToken();
+        return !!next && next.type !== JavaScriptLexer.TOKEN_TYPES.EOF && !['(', '=', ';', '}'].includes(next.value);
+    }
+
+    parseClassMember() {
+        const startToken = this.currentToken();
+        let isStatic = false;
+
+        if (this.isClassModifier('static')) {
+            this.advance();
+            isStatic = true;
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{')) {
+                const block = this.parseBlockStatement();
+                return this.finishNode({
+                    type: 'StaticBlock',
+                    body: block.body
+                }, startToken);
+            }
+        }
+
+        // `async` must be followed by the name on the same line
+        let isAsync = false;
+        if (this.isClassModifier('async') && this.peekToken().line === this.currentToken().line) {
+            this.advance();
+            isAsync = true;
+        }
+
+        let isGenerator = false;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '*')) {
+            this.advance();
+            isGenerator = true;
+        }
+
+        let kind = 'method';
+        if (!isAsync && !isGenerator && (this.isClassModifier('get') || this.isClassModifier('set'))) {
+            kind = this.currentToken().value;
+            this.advance();
+        }
+
+        const keyToken = this.currentToken();
+        const { key, computed } = this.parsePropertyKey();
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
+            const value = this.parseMethodFunction(isAsync, isGenerator);
+            this.checkAccessorParams(kind, value, keyToken);
+            const keyName = key?.type === 'Identifier' ? key.name : key?.value;
+
+            if (kind === 'method' && !isStatic && !computed && keyName === 'constructor') {
+                kind = 'constructor';
+                if (isAsync || isGenerator) {
+                    this.addError('Class constructor may not be an async method or a generator');
+                }
+            }
+
+            return this.finishNode({
+                type: 'MethodDefinition',
+                key,
+                value,
+                kind,
+                computed,
+                static: isStatic
+            }, startToken);
+        }
+
+        if (kind !== 'method' || isAsync || isGenerator) {
+            this.addError(`Expected '(' after method name`);
+        }
+
+        let value = null;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '=')) {
+            this.advance();
+            value = this.parseAssignmentExpression();
+        }
+
+        this.consumeSemicolon();
+
+        return this.finishNode({
+            type: 'PropertyDefinition',
+            key,
+            value,
+            computed,
+            static: isStatic
+        }, startToken);
+    }
+
+    // Member names: identifiers, keywords, strings, numbers, `#private` or `[computed]`
+    parsePropertyKey() {
+        const token = this.currentToken();
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[')) {
+            this.advance();
+            const key = this.parseAssignmentExpression();
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']');
+            return { key, computed: true };
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) || this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD)) {
+            this.advance();
+            return { key: this.createIdentifier(token), computed: false };
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PRIVATE_NAME)) {
+            this.advance();
+            return { key: this.createPrivateIdentifier(token), computed: false };
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.STRING)) {
+            this.advance();
+            return {
+                key: this.createStringLiteral(token),
+                computed: false
+            };
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.NUMBER)) {
+            this.advance();
+            return {
+                key: this.createNumericLiteral(token),
+                computed: false
+            };
+        }
+
+        this.addError(`Unexpected token in property name: '${token?.value || 'EOF'}'`);
+        this.advance();
+        return { key: null, computed: false };
+    }
+
+    // `(params) { body }` of a method; ESTree keeps it as a FunctionExpression in `value`
+    parseMethodFunction(isAsync = false, isGenerator = false) {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+        const params = this.parseParameterList({ async: isAsync, generator: isGenerator });
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        const body = this.parseFunctionBody(isAsync, isGenerator);
+
+        return this.finishNode({
+            type: 'FunctionExpression',
+            id: null,
+            params,
+            body,
+            generator: isGenerator,
+            async: isAsync
+        }, startToken);
+    }
+
+    // Arrow functions start with `ident =>` or a balanced `( ... )` followed by `=>`,
+    // optionally preceded by `async` on the same line
+    isArrowFunctionStart() {
+        let offset = 0;
+        const next = this.peekToken();
+        if (this.isContextualKeyword('async') && next && next.line === this.currentToken().line &&
+            (next.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER || next.value === '(')) {
+            offset = 1;
+        }
+
+        const first = this.peekToken(offset);
+        if (!first) return false;
+
+        if (first.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) {
+            const arrow = this.peekToken(offset + 1);
+            return !!arrow && arrow.type === JavaScriptLexer.TOKEN_TYPES.OPERATOR && arrow.value === '=>';
+        }
+
+        if (first.type !== JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR || first.value !== '(') return false;
+
+        let depth = 0;
+        for (let i = this.position + offset; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (token.type === JavaScriptLexer.TOKEN_TYPES.EOF) return false;
+            if (token.type !== JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR) continue;
+
+            if (['(', '[', '{'].includes(token.value)) {
+                depth++;
+            } else if ([')', ']', '}'].includes(token.value)) {
+                depth--;
+                if (depth === 0) {
+                    const next = this.tokens[i + 1];
+                    return !!next && next.type === JavaScriptLexer.TOKEN_TYPES.OPERATOR && next.value === '=>';
+                }
+            }
+        }
+
+        return false;
+    }
+
+    parseArrowFunction() {
+        const startToken = this.currentToken();
+        let params;
+
+        let isAsync = false;
+        const next = this.peekToken();
+        if (this.isContextualKeyword('async') && next && next.value !== '=>') {
+            this.advance();
+            isAsync = true;
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
+            params = [this.createIdentifier(this.currentToken())];
+            this.advance();
+        } else {
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+            params = this.parseParameterList();
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        }
+
+        if (this.hasLineBreakBefore()) {
+            this.addError("Line terminator not permitted before '=>'");
+        }
+        this.consume(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '=>');
+
+        // `=> { ... }` is a function body, anything else a single expression
+        const expression = !this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
+        let body;
+        if (expression) {
+            this.functionContext.push({ async: isAsync, generator: false });
+            body = this.parseAssignmentExpression();
+            this.functionContext.pop();
+        } else {
+            body = this.parseFunctionBody(isAsync, false);
+        }
+
+        return this.finishNode({
+            type: 'ArrowFunctionExpression',
+            id: null,
+            params,
+            body,
+            expression,
+            generator: false,
+            async: isAsync
+        }, startToken);
+    }
+
+    // `context` is the function's own: `async function f(await) {}` is an error
+    parseParameterList(context = null) {
+        const params = [];
+        if (context) this.functionContext.push(context);
+
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')')) {
+            do {
+                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...')) {
+                    params.push(this.parseRestElement());
+                    if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                        this.addError('Rest parameter must be last formal parameter');
+                    }
+                    break;
+                }
+
+                const param = this.parseBindingElement();
+                if (param) {
+                    params.push(param);
+                }
+
+                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            } while (this.currentToken());
+        }
+
+        if (context) this.functionContext.pop();
+        return params;
+    }
+
+    // Binding target with an optional default value: `x` or `x = 1`
+    parseBindingElement() {
+        const startToken = this.currentToken();
+        const target = this.parseBindingTarget();
+        if (!target) return null;
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '=')) {
+            this.advance();
+            const right = this.parseAssignmentExpression();
+
+            return this.finishNode({
+                type: 'AssignmentPattern',
+                left: target,
+                right
+            }, startToken);
+        }
+
+        return target;
+    }
+
+    // Identifier or destructuring pattern
+    parseBindingTarget() {
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[')) {
+            return this.parseArrayPattern();
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{')) {
+            return this.parseObjectPattern();
+        }
+
+        return this.parseBindingIdentifier();
+    }
+
+    // Required name of a binding, function or class; an ErrorNode stands in for a missing one.
+    // `context` replaces the enclosing function's for the name of a function expression.
+    parseBindingIdentifier(context = null) {
+        const token = this.currentToken();
+        if (this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
+            this.checkContextualName(token, context);
+            return this.createIdentifier(token);
+        }
+
+        // `var class = 1`: the reserved word still takes the name's place
+        if (token?.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD && this.peekToken()?.line === token.line) {
+            this.advance();
+            return this.createErrorNode(`Reserved word '${token.value}' used as a name`, token);
+        }
+        return this.createErrorNode('Missing identifier', token);
+    }
+
+    // `[a, , b = 1, ...rest]`
+    parseArrayPattern() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[');
+        const elements = [];
+
+        while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']') &&
+            this.currentToken() &&
+            this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                elements.push(null); // Elision
+                this.advance();
+                continue;
+            }
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...')) {
+                elements.push(this.parseRestElement());
+                if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']')) {
+                    this.addError('Rest element must be last element');
+                }
+                break;
+            }
+
+            const element = this.parseBindingElement();
+            if (!element) break;
+            elements.push(element);
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                this.advance();
+            } else {
+                break;
+            }
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']');
+
+        return this.finishNode({
+            type: 'ArrayPattern',
+            elements
+        }, startToken);
+    }
+
+    // `{ a, b: c, d = 1, [key]: e, ...rest }`
+    parseObjectPattern() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
+        const properties = [];
+
+        while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+            this.currentToken() &&
+            this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...')) {
+                properties.push(this.parseRestElement());
+                if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}')) {
+                    this.addError('Rest element must be last element');
+                }
+                break;
+            }
+
+            const propertyStart = this.currentToken();
+            const { key, computed } = this.parsePropertyKey();
+            if (!key) break;
+
+            let value;
+            let shorthand = false;
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':')) {
+                this.advance();
+                value = this.parseBindingElement();
+            } else {
+                // Shorthand `{ a }` / `{ a = 1 }` binds the key name itself; `{ return }` cannot
+                shorthand = true;
+                const bindable = key.type === 'Identifier' && !computed &&
+                    propertyStart.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER;
+                if (bindable) {
+                    this.checkContextualName(propertyStart);
+                } else {
+                    this.addError("Expected ':' after property name in object pattern", propertyStart);
+                }
+
+                value = bindable ? { ...key } : null;
+
+                if (value && this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '=')) {
+                    this.advance();
+                    const right = this.parseAssignmentExpression();
+                    value = this.finishNode({
+                        type: 'AssignmentPattern',
+                        left: value,
+                        right
+                    }, propertyStart);
+                }
+            }
+
+            properties.push(this.finishNode({
+                type: 'Property',
+                key,
+                value,
+                kind: 'init',
+                method: false,
+                shorthand,
+                computed
+            }, propertyStart));
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                this.advance();
+            } else {
+                break;
+            }
         }
 
-        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{')) {
-            return this.parseBlockStatement();
-        }
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
 
-        // Expression statement
-        return this.parseExpressionStatement();
+        return this.finishNode({
+            type: 'ObjectPattern',
+            properties
+        }, startToken);
     }
 
-    parseFunctionDeclaration() {
-        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'function');
-        const name = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+    // Destructuring assignment: `[a, b] = [b, a]` is parsed as an array literal
+    // first and reinterpreted as a pattern once the `=` is seen
+    toAssignmentTarget(node) {
+        if (!node) return node;
+
+        switch (node.type) {
+            case 'Identifier':
+            case 'MemberExpression':
+            case 'ArrayPattern':
+            case 'ObjectPattern':
+            case 'AssignmentPattern':
+            case 'RestElement':
+                return node;
+            case 'ArrayExpression':
+                return {
+                    ...node,
+                    type: 'ArrayPattern',
+                    elements: node.elements.map(element => this.toAssignmentTarget(element))
+                };
+            case 'ObjectExpression':
+                return {
+                    ...node,
+                    type: 'ObjectPattern',
+                    properties: node.properties.map(property => {
+                        if (property.type === 'SpreadElement') return this.toAssignmentTarget(property);
+
+                        this.coverInitializers.delete(property);
+                        if (property.kind !== 'init' || property.method) {
+                            this.errors.push({
+                                message: 'Object pattern cannot contain methods or accessors',
+                                line: property.loc?.start.line || 0,
+                                column: property.loc ? property.loc.start.column + 1 : 0,
+                                token: property.type
+                            });
+                            return property;
+                        }
+                        return { ...property, value: this.toAssignmentTarget(property.value) };
+                    })
+                };
+            case 'SpreadElement':
+                return { ...node, type: 'RestElement', argument: this.toAssignmentTarget(node.argument) };
+            case 'AssignmentExpression':
+                if (node.operator === '=') {
+                    return {
+                        type: 'AssignmentPattern',
+                        left: this.toAssignmentTarget(node.left),
+                        right: node.right,
+                        loc: node.loc,
+                        range: node.range
+                    };
+                }
+                break;
+        }
 
-        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
-        const params = this.parseParameterList();
-        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        this.errors.push({
+            message: 'Invalid destructuring assignment target',
+            line: node.loc?.start.line || 0,
+            column: node.loc ? node.loc.start.column + 1 : 0,
+            token: node.type
+        });
+        return node;
+    }
 
-        const body = this.parseBlockStatement();
+    // `...expr` in array literals, object literals and call arguments
+    parseSpreadElement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...');
+        const argument = this.parseAssignmentExpression();
 
-        return {
-            type: 'FunctionDeclaration',
-            id: name ? { type: 'Identifier', name: name.value } : null,
-            params,
-            body
-        };
+        return this.finishNode({
+            type: 'SpreadElement',
+            argument
+        }, startToken);
     }
 
-    parseParameterList() {
-        const params = [];
+    parseRestElement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...');
+        const argument = this.parseBindingTarget();
 
-        if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')')) {
-            do {
-                const param = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
-                if (param) {
-                    params.push({ type: 'Identifier', name: param.value });
-                }
+        return this.finishNode({
+            type: 'RestElement',
+            argument
+        }, startToken);
+    }
 
-                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
-                    this.advance();
-                } else {
-                    break;
-                }
-            } while (this.currentToken());
-        }
+    parseVariableDeclaration() {
+        const startToken = this.currentToken();
+        const declaration = this.parseVariableDeclarationList();
+        this.checkDeclarationInitializers(declaration);
+        this.consumeSemicolon();
 
-        return params;
+        // Extend the node over the semicolon
+        return this.finishNode(declaration, startToken);
     }
 
-    parseVariableDeclaration() {
+    // `let a = 1, { b } = c` without the trailing semicolon, shared with for-loop heads
+    parseVariableDeclarationList() {
+        const startToken = this.currentToken();
         const kind = this.currentToken().value;
         this.advance();
 
         const declarations = [];
 
         do {
-            const id = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+            const declaratorStart = this.currentToken();
+            const id = this.parseBindingTarget();
             let init = null;
 
             if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '=')) {
                 this.advance();
-                init = this.parseExpression();
+                init = this.parseAssignmentExpression();
             }
 
             if (id) {
-                declarations.push({
+                declarations.push(this.finishNode({
                     type: 'VariableDeclarator',
-                    id: { type: 'Identifier', name: id.value },
+                    id,
                     init
-                });
+                }, declaratorStart));
             }
 
             if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
@@ -562,16 +2242,29 @@ class JavaScriptParser {
             }
         } while (this.currentToken());
 
-        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';');
-
-        return {
+        return this.finishNode({
             type: 'VariableDeclaration',
             declarations,
             kind
-        };
+        }, startToken);
+    }
+
+    // Destructuring declarations need a value, except as the left side of for-in/of
+    checkDeclarationInitializers(declaration) {
+        declaration.declarations.forEach(declarator => {
+            if (declarator.id.type !== 'Identifier' && !declarator.init) {
+                this.errors.push({
+                    message: 'Missing initializer in destructuring declaration',
+                    line: declarator.loc.start.line,
+                    column: declarator.loc.start.column + 1,
+                    token: declarator.id.type
+                });
+            }
+        });
     }
 
     parseIfStatement() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'if');
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
         const test = this.parseExpression();
@@ -585,292 +2278,831 @@ class JavaScriptParser {
             alternate = this.parseStatement();
         }
 
-        return {
+        return this.finishNode({
             type: 'IfStatement',
             test,
             consequent,
             alternate
-        };
+        }, startToken);
     }
 
     parseWhileStatement() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'while');
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
         const test = this.parseExpression();
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
         const body = this.parseStatement();
 
-        return {
+        return this.finishNode({
             type: 'WhileStatement',
             test,
             body
-        };
+        }, startToken);
+    }
+
+    parseDoWhileStatement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'do');
+        const body = this.parseStatement();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'while');
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+        const test = this.parseExpression();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+
+        // The semicolon after do-while is always optional
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';')) {
+            this.advance();
+        }
+
+        return this.finishNode({
+            type: 'DoWhileStatement',
+            body,
+            test
+        }, startToken);
     }
 
+    // `for (init; test; update)`, `for (left in right)`, `for (left of right)`
+    // and `for await (left of right)`
     parseForStatement() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'for');
+
+        let isAwait = false;
+        if (this.isContextualKeyword('await')) {
+            this.advance();
+            isAwait = true;
+        }
+
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
 
-        const init = this.parseStatement();
-        const test = this.parseExpression();
+        let init = null;
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';')) {
+            this.noIn = true;
+            if (this.isVariableDeclarationStart()) {
+                init = this.parseVariableDeclarationList();
+            } else {
+                init = this.parseExpression();
+            }
+            this.noIn = false;
+        }
+
+        const isForOf = this.isContextualKeyword('of');
+        if (init && (isForOf || this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'in'))) {
+            return this.parseForInOfRest(startToken, init, isForOf, isAwait);
+        }
+
+        if (isAwait) {
+            this.addError("'for await' is only valid with for-of loops");
+        }
+
+        if (init && init.type === 'VariableDeclaration') {
+            this.checkDeclarationInitializers(init);
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';');
+        const test = this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';') ? null : this.parseExpression();
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';');
-        const update = this.parseExpression();
+        const update = this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')') ? null : this.parseExpression();
 
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
         const body = this.parseStatement();
 
-        return {
+        return this.finishNode({
             type: 'ForStatement',
             init,
             test,
             update,
             body
+        }, startToken);
+    }
+
+    parseForInOfRest(startToken, init, isForOf, isAwait) {
+        const loopName = isForOf ? 'for-of' : 'for-in';
+        let left = init;
+
+        if (init.type === 'VariableDeclaration') {
+            if (init.declarations.length !== 1) {
+                this.addError(`Invalid left-hand side in ${loopName} loop: must have a single binding`);
+            } else if (init.declarations[0].init) {
+                this.addError(`${loopName} loop variable declaration may not have an initializer`);
+            }
+        } else {
+            left = this.toAssignmentTarget(init);
+        }
+
+        if (isAwait && !isForOf) {
+            this.addError("'for await' is only valid with for-of loops");
+        }
+
+        this.advance(); // `in` / `of`
+        const right = isForOf ? this.parseAssignmentExpression() : this.parseExpression();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        const body = this.parseStatement();
+
+        const node = {
+            type: isForOf ? 'ForOfStatement' : 'ForInStatement',
+            left,
+            right,
+            body
         };
+        if (isForOf) {
+            node.await = isAwait;
+        }
+
+        return this.finishNode(node, startToken);
+    }
+
+    // Words like `of` are keywords only in specific positions
+    isContextualKeyword(value) {
+        const token = this.currentToken();
+        return !!token && token.value === value &&
+            (token.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER || token.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD);
     }
 
     parseReturnStatement() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'return');
         let argument = null;
 
-        if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';')) {
+        // Restricted production: `return` followed by a line break returns undefined
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';') &&
+            !this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+            !this.match(JavaScriptLexer.TOKEN_TYPES.EOF) &&
+            !this.hasLineBreakBefore()) {
             argument = this.parseExpression();
+        } else if (this.hasLineBreakBefore() && this.options.asiWarnings &&
+            !this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') && !this.match(JavaScriptLexer.TOKEN_TYPES.EOF)) {
+            this.addWarning("Line break after 'return': the statement returns undefined and the next line is unreachable", startToken);
         }
 
-        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';');
+        this.consumeSemicolon();
 
-        return {
+        return this.finishNode({
             type: 'ReturnStatement',
             argument
-        };
+        }, startToken);
+    }
+
+    parseSwitchStatement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'switch');
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+        const discriminant = this.parseExpression();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
+
+        const cases = [];
+        let hasDefault = false;
+
+        while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+            this.currentToken() &&
+            this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+            const caseStart = this.currentToken();
+            let test = null;
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'case')) {
+                this.advance();
+                test = this.parseExpression();
+            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'default')) {
+                if (hasDefault) {
+                    this.addError('More than one default clause in switch statement');
+                }
+                hasDefault = true;
+                this.advance();
+            } else {
+                this.addError(`Expected 'case' or 'default' but found '${caseStart.value}'`);
+                this.advance();
+                continue;
+            }
+
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':');
+
+            const consequent = [];
+            while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+                !this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'case') &&
+                !this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'default') &&
+                this.currentToken() &&
+                this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
+                this.parseStatementListItem(consequent);
+            }
+
+            cases.push(this.finishNode({
+                type: 'SwitchCase',
+                test,
+                consequent
+            }, caseStart));
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
+
+        return this.finishNode({
+            type: 'SwitchStatement',
+            discriminant,
+            cases
+        }, startToken);
+    }
+
+    parseTryStatement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'try');
+        const block = this.parseBlockStatement();
+
+        let handler = null;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'catch')) {
+            const catchStart = this.currentToken();
+            this.advance();
+
+            // The binding is optional: `catch { ... }`
+            let param = null;
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
+                this.advance();
+                param = this.parseBindingTarget();
+                this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+            }
+
+            const body = this.parseBlockStatement();
+            handler = this.finishNode({
+                type: 'CatchClause',
+                param,
+                body
+            }, catchStart);
+        }
+
+        let finalizer = null;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'finally')) {
+            this.advance();
+            finalizer = this.parseBlockStatement();
+        }
+
+        if (!handler && !finalizer) {
+            this.addError('Missing catch or finally after try');
+        }
+
+        return this.finishNode({
+            type: 'TryStatement',
+            block,
+            handler,
+            finalizer
+        }, startToken);
+    }
+
+    // `with (object) body`; only valid in sloppy code, the analyzer reports strict mode
+    parseWithStatement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'with');
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+        const object = this.parseExpression();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        const body = this.parseStatement();
+
+        return this.finishNode({
+            type: 'WithStatement',
+            object,
+            body
+        }, startToken);
+    }
+
+    parseThrowStatement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'throw');
+        if (this.hasLineBreakBefore()) {
+            this.addError("Illegal newline after 'throw'");
+        }
+        const argument = this.parseExpression();
+        this.consumeSemicolon();
+
+        return this.finishNode({
+            type: 'ThrowStatement',
+            argument
+        }, startToken);
+    }
+
+    parseDebuggerStatement() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'debugger');
+        this.consumeSemicolon();
+
+        return this.finishNode({ type: 'DebuggerStatement' }, startToken);
+    }
+
+    parseBreakContinueStatement() {
+        const startToken = this.currentToken();
+        const keyword = startToken.value;
+        this.advance();
+
+        // A label only counts when it is on the same line as the keyword
+        let label = null;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) && this.currentToken().line === startToken.line) {
+            label = this.createIdentifier(this.currentToken());
+            this.advance();
+        }
+
+        this.consumeSemicolon();
+
+        return this.finishNode({
+            type: keyword === 'break' ? 'BreakStatement' : 'ContinueStatement',
+            label
+        }, startToken);
+    }
+
+    parseLabeledStatement() {
+        const startToken = this.currentToken();
+        const label = this.createIdentifier(startToken);
+        this.advance();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':');
+        const body = this.parseStatement();
+
+        return this.finishNode({
+            type: 'LabeledStatement',
+            label,
+            body
+        }, startToken);
     }
 
     parseBlockStatement() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
         const body = [];
 
         while (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
             this.currentToken() &&
             this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
-            const stmt = this.parseStatement();
-            if (stmt) body.push(stmt);
+            this.parseStatementListItem(body);
         }
 
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
 
-        return {
+        return this.finishNode({
             type: 'BlockStatement',
             body
-        };
+        }, startToken);
     }
 
     parseExpressionStatement() {
+        const startToken = this.currentToken();
         const expression = this.parseExpression();
-        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ';');
+        this.consumeSemicolon();
 
-        return {
+        return this.finishNode({
             type: 'ExpressionStatement',
             expression
-        };
+        }, startToken);
     }
 
+    // Expression := AssignmentExpression (',' AssignmentExpression)*
     parseExpression() {
-        return this.parseAssignmentExpression();
+        const startToken = this.currentToken();
+        const expression = this.parseAssignmentExpression();
+
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+            return expression;
+        }
+
+        const expressions = [expression];
+        while (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+            this.advance();
+            expressions.push(this.parseAssignmentExpression());
+        }
+
+        return this.finishNode({
+            type: 'SequenceExpression',
+            expressions
+        }, startToken);
     }
 
     parseAssignmentExpression() {
+        if (this.isArrowFunctionStart()) {
+            return this.parseArrowFunction();
+        }
+
+        if (this.isContextualKeyword('yield') && (this.inGenerator() || this.isOperandStart(this.peekToken()))) {
+            return this.parseYieldExpression();
+        }
+
+        const startToken = this.currentToken();
         const left = this.parseConditionalExpression();
 
-        if (this.currentToken() && this.currentToken().value &&
-            ['=', '+=', '-=', '*=', '/=', '%='].includes(this.currentToken().value)) {
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR) &&
+            JavaScriptParser.ASSIGNMENT_OPERATORS.includes(this.currentToken().value)) {
             const operator = this.currentToken().value;
             this.advance();
             const right = this.parseAssignmentExpression();
 
-            return {
+            return this.finishNode({
                 type: 'AssignmentExpression',
                 operator,
-                left,
+                left: operator === '=' && (left?.type === 'ArrayExpression' || left?.type === 'ObjectExpression')
+                    ? this.toAssignmentTarget(left)
+                    : this.checkSimpleAssignmentTarget(left, operator),
                 right
-            };
+            }, startToken);
         }
 
         return left;
     }
 
+    // Compound assignments and `++`/`--` only accept identifiers and member accesses
+    checkSimpleAssignmentTarget(node, operator) {
+        if (node && (node.type === 'Identifier' || node.type === 'MemberExpression')) {
+            return node;
+        }
+
+        this.errors.push({
+            message: operator === '=' ? 'Invalid left-hand side in assignment' : `Invalid left-hand side in '${operator}' expression`,
+            line: node?.loc?.start.line || 0,
+            column: node?.loc ? node.loc.start.column + 1 : 0,
+            token: node?.type || 'EOF'
+        });
+        return node;
+    }
+
     parseConditionalExpression() {
+        const startToken = this.currentToken();
         const test = this.parseLogicalExpression();
 
         if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '?')) {
             this.advance();
-            const consequent = this.parseExpression();
+
+            // `in` is allowed in the middle branch even inside a for-loop head
+            const noIn = this.noIn;
+            this.noIn = false;
+            const consequent = this.parseAssignmentExpression();
+            this.noIn = noIn;
+
             this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':');
-            const alternate = this.parseExpression();
+            const alternate = this.parseAssignmentExpression();
 
-            return {
+            return this.finishNode({
                 type: 'ConditionalExpression',
                 test,
                 consequent,
                 alternate
-            };
+            }, startToken);
         }
 
         return test;
     }
 
+    // `??` chains; mixing them with `&&`/`||` requires parentheses
     parseLogicalExpression() {
-        let left = this.parseEqualityExpression();
+        const startToken = this.currentToken();
+        let left = this.parseLogicalOrExpression();
+
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '??')) {
+            return left;
+        }
+
+        if (this.isUnparenthesizedLogical(left)) {
+            this.addError("Cannot mix '??' with '&&' or '||' without parentheses");
+        }
+
+        while (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '??')) {
+            this.advance();
+            const right = this.parseBitwiseOrExpression();
+
+            left = this.finishNode({
+                type: 'LogicalExpression',
+                operator: '??',
+                left,
+                right
+            }, startToken);
+        }
 
-        while (this.currentToken() && ['&&', '||'].includes(this.currentToken().value)) {
+        // Report `a ?? b || c` but keep parsing it left to right
+        while (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '&&') || this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '||')) {
+            this.addError("Cannot mix '??' with '&&' or '||' without parentheses");
             const operator = this.currentToken().value;
             this.advance();
-            const right = this.parseEqualityExpression();
+            const right = this.parseBitwiseOrExpression();
 
-            left = {
+            left = this.finishNode({
                 type: 'LogicalExpression',
                 operator,
                 left,
                 right
-            };
+            }, startToken);
         }
 
-        return left;
+        return left;
+    }
+
+    isUnparenthesizedLogical(node) {
+        return !!node && node.type === 'LogicalExpression' && node.operator !== '??' &&
+            !this.parenthesizedNodes.has(node);
+    }
+
+    parseLogicalOrExpression() {
+        return this.parseBinaryLevel(['||'], () => this.parseLogicalAndExpression(), 'LogicalExpression');
+    }
+
+    parseLogicalAndExpression() {
+        return this.parseBinaryLevel(['&&'], () => this.parseBitwiseOrExpression(), 'LogicalExpression');
+    }
+
+    parseBitwiseOrExpression() {
+        return this.parseBinaryLevel(['|'], () => this.parseBitwiseXorExpression());
+    }
+
+    parseBitwiseXorExpression() {
+        return this.parseBinaryLevel(['^'], () => this.parseBitwiseAndExpression());
+    }
+
+    parseBitwiseAndExpression() {
+        return this.parseBinaryLevel(['&'], () => this.parseEqualityExpression());
+    }
+
+    parseEqualityExpression() {
+        return this.parseBinaryLevel(['==', '===', '!=', '!=='], () => this.parseRelationalExpression());
+    }
+
+    parseRelationalExpression() {
+        // Inside a for-loop head `in` belongs to the for-in statement
+        const operators = this.noIn
+            ? ['<', '>', '<=', '>=', 'instanceof']
+            : ['<', '>', '<=', '>=', 'instanceof', 'in'];
+        let first = true;
+        return this.parseBinaryLevel(operators, () => {
+            // `#x in obj` (private brand check): a private name may only start the expression
+            const next = this.peekToken();
+            if (first && !this.noIn && this.match(JavaScriptLexer.TOKEN_TYPES.PRIVATE_NAME) &&
+                next?.type === JavaScriptLexer.TOKEN_TYPES.KEYWORD && next.value === 'in') {
+                first = false;
+                const token = this.currentToken();
+                this.advance();
+                return this.createPrivateIdentifier(token);
+            }
+            first = false;
+            return this.parseShiftExpression();
+        });
+    }
+
+    parseShiftExpression() {
+        return this.parseBinaryLevel(['<<', '>>', '>>>'], () => this.parseAdditiveExpression());
+    }
+
+    parseAdditiveExpression() {
+        return this.parseBinaryLevel(['+', '-'], () => this.parseMultiplicativeExpression());
+    }
+
+    parseMultiplicativeExpression() {
+        return this.parseBinaryLevel(['*', '/', '%'], () => this.parseExponentExpression());
     }
 
-    parseEqualityExpression() {
-        let left = this.parseRelationalExpression();
+    // One left-associative precedence level: operand (operator operand)*
+    parseBinaryLevel(operators, parseOperand, type = 'BinaryExpression') {
+        const startToken = this.currentToken();
+        let left = parseOperand();
 
-        while (this.currentToken() && ['==', '===', '!=', '!=='].includes(this.currentToken().value)) {
+        while (this.currentToken() &&
+            (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR) || this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD)) &&
+            operators.includes(this.currentToken().value)) {
             const operator = this.currentToken().value;
             this.advance();
-            const right = this.parseRelationalExpression();
+            const right = parseOperand();
 
-            left = {
-                type: 'BinaryExpression',
+            left = this.finishNode({
+                type,
                 operator,
                 left,
                 right
-            };
+            }, startToken);
         }
 
         return left;
     }
 
-    parseRelationalExpression() {
-        let left = this.parseAdditiveExpression();
+    // `**` is right-associative and its base cannot be an unparenthesized unary expression
+    parseExponentExpression() {
+        const startToken = this.currentToken();
+        const left = this.parseUnaryExpression();
 
-        while (this.currentToken() && ['<', '>', '<=', '>=', 'in', 'instanceof'].includes(this.currentToken().value)) {
-            const operator = this.currentToken().value;
-            this.advance();
-            const right = this.parseAdditiveExpression();
+        if (!this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '**')) {
+            return left;
+        }
 
-            left = {
-                type: 'BinaryExpression',
-                operator,
-                left,
-                right
-            };
+        if (left && (left.type === 'UnaryExpression' || left.type === 'AwaitExpression') &&
+            !this.parenthesizedNodes.has(left)) {
+            this.addError("Unary operator used immediately before '**' expression: parentheses are required");
         }
 
-        return left;
+        this.advance();
+        const right = this.parseExponentExpression();
+
+        return this.finishNode({
+            type: 'BinaryExpression',
+            operator: '**',
+            left,
+            right
+        }, startToken);
     }
 
-    parseAdditiveExpression() {
-        let left = this.parseMultiplicativeExpression();
+    // `yield`, `yield value` and `yield* iterable`; a line break ends a bare `yield`
+    parseYieldExpression() {
+        const startToken = this.currentToken();
+        this.advance();
 
-        while (this.currentToken() && ['+', '-'].includes(this.currentToken().value)) {
-            const operator = this.currentToken().value;
-            this.advance();
-            const right = this.parseMultiplicativeExpression();
+        let delegate = false;
+        let argument = null;
+        const token = this.currentToken();
+        const onSameLine = token && token.line === startToken.line;
 
-            left = {
-                type: 'BinaryExpression',
-                operator,
-                left,
-                right
-            };
+        if (onSameLine && this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '*') && this.inGenerator()) {
+            this.advance();
+            delegate = true;
+            argument = this.parseAssignmentExpression();
+        } else if (onSameLine && token.type !== JavaScriptLexer.TOKEN_TYPES.EOF &&
+            ![')', ']', '}', ',', ';', ':'].includes(token.value)) {
+            argument = this.parseAssignmentExpression();
         }
 
-        return left;
+        return this.finishNode({
+            type: 'YieldExpression',
+            argument,
+            delegate
+        }, startToken);
     }
 
-    parseMultiplicativeExpression() {
-        let left = this.parseUnaryExpression();
+    parseUnaryExpression() {
+        const startToken = this.currentToken();
+
+        if (this.isContextualKeyword('await') && (this.inAsync() || this.isOperandStart(this.peekToken()))) {
+            this.advance();
+            const argument = this.parseUnaryExpression();
+
+            return this.finishNode({
+                type: 'AwaitExpression',
+                argument
+            }, startToken);
+        }
 
-        while (this.currentToken() && ['*', '/', '%'].includes(this.currentToken().value)) {
+        // Prefix `++x` / `--x`
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '++') || this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '--')) {
             const operator = this.currentToken().value;
             this.advance();
-            const right = this.parseUnaryExpression();
+            const argument = this.parseUnaryExpression();
 
-            left = {
-                type: 'BinaryExpression',
+            return this.finishNode({
+                type: 'UpdateExpression',
                 operator,
-                left,
-                right
-            };
+                argument: this.checkSimpleAssignmentTarget(argument, operator),
+                prefix: true
+            }, startToken);
         }
 
-        return left;
-    }
-
-    parseUnaryExpression() {
-        if (this.currentToken() && ['!', '-', '+', '++', '--', 'typeof', 'void', 'delete'].includes(this.currentToken().value)) {
+        if (this.currentToken() && ['!', '-', '+', '~', 'typeof', 'void', 'delete'].includes(this.currentToken().value)) {
             const operator = this.currentToken().value;
             this.advance();
             const argument = this.parseUnaryExpression();
 
-            return {
+            return this.finishNode({
                 type: 'UnaryExpression',
                 operator,
                 argument,
                 prefix: true
-            };
+            }, startToken);
         }
 
         return this.parsePostfixExpression();
     }
 
     parsePostfixExpression() {
+        const startToken = this.currentToken();
         let left = this.parseCallExpression();
 
-        if (this.currentToken() && ['++', '--'].includes(this.currentToken().value)) {
+        // Restricted production: `a\n++b` is `a; ++b`
+        if (this.currentToken() && ['++', '--'].includes(this.currentToken().value) && !this.hasLineBreakBefore()) {
             const operator = this.currentToken().value;
             this.advance();
 
-            return {
+            return this.finishNode({
                 type: 'UpdateExpression',
                 operator,
-                argument: left,
+                argument: this.checkSimpleAssignmentTarget(left, operator),
                 prefix: false
-            };
+            }, startToken);
         }
 
         return left;
     }
 
+    // Calls, member accesses and optional chains. A chain containing `?.` is
+    // wrapped in a ChainExpression so the short-circuit covers the whole chain.
     parseCallExpression() {
+        const startToken = this.currentToken();
         let left = this.parseMemberExpression();
+        let isChain = false;
 
-        while (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
-            this.advance();
-            const args = this.parseArgumentList();
-            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        while (this.currentToken()) {
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '?.')) {
+                this.advance();
+                isChain = true;
 
-            left = {
-                type: 'CallExpression',
-                callee: left,
-                arguments: args
-            };
+                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
+                    left = this.parseCallArguments(left, startToken, true);
+                } else if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[')) {
+                    left = this.parseComputedMember(left, startToken, true);
+                } else {
+                    left = this.finishNode({
+                        type: 'MemberExpression',
+                        object: left,
+                        property: this.parseMemberProperty(),
+                        computed: false,
+                        optional: true
+                    }, startToken);
+                }
+            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
+                this.checkContinuationHazard();
+                left = this.parseCallArguments(left, startToken, false);
+            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '.')) {
+                this.advance();
+                left = this.finishNode({
+                    type: 'MemberExpression',
+                    object: left,
+                    property: this.parseMemberProperty(),
+                    computed: false,
+                    optional: false
+                }, startToken);
+            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[')) {
+                this.checkContinuationHazard();
+                left = this.parseComputedMember(left, startToken, false);
+            } else if (this.isTemplateStart()) {
+                this.checkContinuationHazard();
+                if (isChain) {
+                    this.addError('Tagged template cannot be used in optional chain');
+                }
+                left = this.parseTaggedTemplate(left, startToken);
+            } else {
+                break;
+            }
+        }
+
+        if (isChain) {
+            left = this.finishNode({
+                type: 'ChainExpression',
+                expression: left
+            }, startToken);
         }
 
         return left;
     }
 
+    parseCallArguments(callee, startToken, optional) {
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+        const args = this.parseArgumentList();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+
+        return this.finishNode({
+            type: 'CallExpression',
+            callee,
+            arguments: args,
+            optional
+        }, startToken);
+    }
+
+    parseComputedMember(object, startToken, optional) {
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[');
+        const noIn = this.noIn;
+        this.noIn = false;
+        const property = this.parseExpression();
+        this.noIn = noIn;
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']');
+
+        return this.finishNode({
+            type: 'MemberExpression',
+            object,
+            property,
+            computed: true,
+            optional
+        }, startToken);
+    }
+
+    // Name after `.` or `?.`; keywords are valid property names (`obj.default`)
+    parseMemberProperty() {
+        const token = this.currentToken();
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PRIVATE_NAME)) {
+            this.advance();
+            return this.createPrivateIdentifier(token);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD)) {
+            this.advance();
+            return this.createIdentifier(token);
+        }
+
+        const identifier = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+        return identifier ? this.createIdentifier(identifier) : this.createErrorNode('Missing property name', token);
+    }
+
     parseArgumentList() {
         const args = [];
 
         if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')')) {
             do {
-                const arg = this.parseExpression();
+                const arg = this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...')
+                    ? this.parseSpreadElement()
+                    : this.parseAssignmentExpression();
                 if (arg) args.push(arg);
 
                 if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
@@ -878,37 +3110,167 @@ class JavaScriptParser {
                 } else {
                     break;
                 }
-            } while (this.currentToken());
+            } while (this.currentToken() && !this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')'));
         }
 
         return args;
     }
 
+    isTemplateStart() {
+        return this.match(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL) && this.currentToken().value.startsWith('`');
+    }
+
+    // `tag\`...\``; a template inside an optional chain is a syntax error
+    parseTaggedTemplate(tag, startToken) {
+        const quasi = this.parseTemplateLiteral(true);
+
+        return this.finishNode({
+            type: 'TaggedTemplateExpression',
+            tag,
+            quasi
+        }, startToken);
+    }
+
+    // The lexer splits a template into chunks around each `${ ... }`; quasis and
+    // expressions alternate, starting and ending with a quasi
+    parseTemplateLiteral(isTagged) {
+        const startToken = this.currentToken();
+        const quasis = [];
+        const expressions = [];
+
+        while (this.match(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL)) {
+            const chunk = this.currentToken();
+            this.advance();
+
+            const tail = !chunk.value.endsWith('${');
+            quasis.push(this.createTemplateElement(chunk, tail, isTagged));
+            if (tail) break;
+
+            const noIn = this.noIn;
+            this.noIn = false;
+            expressions.push(this.parseExpression());
+            this.noIn = noIn;
+
+            if (!this.match(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL) || this.currentToken().value.startsWith('`')) {
+                this.addError("Expected '}' to close template substitution");
+                break;
+            }
+        }
+
+        return this.finishNode({
+            type: 'TemplateLiteral',
+            quasis,
+            expressions
+        }, startToken);
+    }
+
+    // TemplateElement locations exclude the `` ` ``, `${` and `}` delimiters
+    createTemplateElement(chunk, tail, isTagged) {
+        const closing = tail ? 1 : 2;
+        const raw = chunk.value.slice(1, chunk.value.length - closing);
+        const cooked = this.cookTemplateValue(raw);
+
+        if (cooked === null && !isTagged) {
+            this.errors.push({
+                message: 'Invalid escape sequence in template literal',
+                line: chunk.line,
+                column: chunk.column,
+                token: chunk.value
+            });
+        }
+
+        return this.finishNode({
+            type: 'TemplateElement',
+            value: { raw, cooked },
+            tail
+        }, {
+            line: chunk.line,
+            column: chunk.column + 1,
+            start: chunk.start + 1,
+            end: chunk.start + 1
+        }, {
+            end: chunk.end - closing,
+            endLine: chunk.endLine,
+            endColumn: chunk.endColumn - closing
+        });
+    }
+
+    // Interprets escape sequences; null for escapes that are invalid in templates
+    // (tagged templates accept them and expose only the raw text)
+    cookTemplateValue(raw) {
+        let cooked = '';
+
+        for (let i = 0; i < raw.length; i++) {
+            if (raw[i] !== '\\') {
+                cooked += raw[i];
+                continue;
+            }
+
+            const next = raw[++i];
+            switch (next) {
+                case 'n': cooked += '\n'; break;
+                case 't': cooked += '\t'; break;
+                case 'r': cooked += '\r'; break;
+                case 'b': cooked += '\b'; break;
+                case 'f': cooked += '\f'; break;
+                case 'v': cooked += '\v'; break;
+                case '\n': break; // Line continuation
+                case 'x': {
+                    const hex = raw.slice(i + 1, i + 3);
+                    if (!/^[0-9a-fA-F]{2}$/.test(hex)) return null;
+                    cooked += String.fromCharCode(parseInt(hex, 16));
+                    i += 2;
+                    break;
+                }
+                case 'u': {
+                    const braced = /^\{([0-9a-fA-F]+)\}/.exec(raw.slice(i + 1));
+                    const hex = braced ? braced[1] : raw.slice(i + 1, i + 5);
+                    if (!braced && !/^[0-9a-fA-F]{4}$/.test(hex)) return null;
+
+                    const codePoint = parseInt(hex, 16);
+                    if (codePoint > 0x10FFFF) return null;
+                    cooked += String.fromCodePoint(codePoint);
+                    i += braced ? braced[0].length : 4;
+                    break;
+                }
+                default:
+                    // `\0` is allowed only when no digit follows; other digits are octal escapes
+                    if (next === '0' && !/\d/.test(raw[i + 1] || '')) {
+                        cooked += '\0';
+                    } else if (/\d/.test(next)) {
+                        return null;
+                    } else {
+                        cooked += next;
+                    }
+            }
+        }
+
+        return cooked;
+    }
+
+    // Member accesses without calls: the callee of `new` stops at the first `(`
     parseMemberExpression() {
-        let left = this.parsePrimaryExpression();
+        const startToken = this.currentToken();
+        let left = this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'new')
+            ? this.parseNewExpression()
+            : this.parsePrimaryExpression();
 
         while (this.currentToken()) {
             if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '.')) {
                 this.advance();
-                const property = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
-
-                left = {
+                left = this.finishNode({
                     type: 'MemberExpression',
                     object: left,
-                    property: property ? { type: 'Identifier', name: property.value } : null,
-                    computed: false
-                };
+                    property: this.parseMemberProperty(),
+                    computed: false,
+                    optional: false
+                }, startToken);
             } else if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[')) {
-                this.advance();
-                const property = this.parseExpression();
-                this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']');
-
-                left = {
-                    type: 'MemberExpression',
-                    object: left,
-                    property,
-                    computed: true
-                };
+                this.checkContinuationHazard();
+                left = this.parseComputedMember(left, startToken, false);
+            } else if (this.isTemplateStart()) {
+                this.checkContinuationHazard();
+                left = this.parseTaggedTemplate(left, startToken);
             } else {
                 break;
             }
@@ -917,36 +3279,92 @@ class JavaScriptParser {
         return left;
     }
 
+    // `new Callee(args)`, `new Callee` and `new.target`
+    parseNewExpression() {
+        const startToken = this.currentToken();
+        this.consume(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'new');
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '.')) {
+            this.advance();
+            const meta = this.createIdentifier(startToken);
+            const propertyToken = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+            if (propertyToken && propertyToken.value !== 'target') {
+                this.addError(`The only valid meta property for new is 'new.target'`);
+            }
+            return this.finishNode({
+                type: 'MetaProperty',
+                meta,
+                property: propertyToken ? this.createIdentifier(propertyToken) : null
+            }, startToken);
+        }
+
+        const callee = this.parseMemberExpression();
+        let args = [];
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
+            this.advance();
+            args = this.parseArgumentList();
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '?.')) {
+            this.addError('Invalid optional chain from new expression');
+        }
+
+        return this.finishNode({
+            type: 'NewExpression',
+            callee,
+            arguments: args
+        }, startToken);
+    }
+
     parsePrimaryExpression() {
-        if (!this.currentToken()) {
+        const startToken = this.currentToken();
+        if (!startToken || startToken.type === JavaScriptLexer.TOKEN_TYPES.EOF) {
             this.addError('Unexpected end of input');
-            return null;
+            return this.createErrorNode('Missing expression', startToken);
+        }
+
+        // `async function` before plain identifiers: `async` is one too
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'function') || this.isAsyncFunctionStart()) {
+            return this.parseFunctionExpression();
         }
 
         // Identifier
         if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
-            const name = this.currentToken().value;
             this.advance();
-            return { type: 'Identifier', name };
+            return this.createIdentifier(startToken);
         }
 
         // Literals
         if (this.match(JavaScriptLexer.TOKEN_TYPES.NUMBER)) {
-            const value = this.currentToken().value;
             this.advance();
-            return { type: 'Literal', value: parseFloat(value), raw: value };
+            return this.createNumericLiteral(startToken);
         }
 
         if (this.match(JavaScriptLexer.TOKEN_TYPES.STRING)) {
-            const value = this.currentToken().value;
             this.advance();
-            return { type: 'Literal', value: value.slice(1, -1), raw: value };
+            return this.createStringLiteral(startToken);
         }
 
-        if (this.match(JavaScriptLexer.TOKEN_TYPES.TEMPLATE_LITERAL)) {
-            const value = this.currentToken().value;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.REGEX)) {
+            const raw = this.currentToken().value;
+            const pattern = raw.slice(1, raw.lastIndexOf('/'));
+            const flags = raw.slice(raw.lastIndexOf('/') + 1);
             this.advance();
-            return { type: 'TemplateLiteral', value: value.slice(1, -1), raw: value };
+
+            // `value` is null when the host cannot build the RegExp, as in ESTree
+            let value = null;
+            try {
+                value = new RegExp(pattern, flags);
+            } catch {
+                value = null;
+            }
+
+            return this.finishNode({ type: 'Literal', value, raw, regex: { pattern, flags } }, startToken);
+        }
+
+        if (this.isTemplateStart()) {
+            return this.parseTemplateLiteral(false);
         }
 
         // Keywords as literals
@@ -954,24 +3372,68 @@ class JavaScriptParser {
             this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'false')) {
             const value = this.currentToken().value === 'true';
             this.advance();
-            return { type: 'Literal', value, raw: value.toString() };
+            return this.finishNode({ type: 'Literal', value, raw: value.toString() }, startToken);
         }
 
         if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'null')) {
             this.advance();
-            return { type: 'Literal', value: null, raw: 'null' };
+            return this.finishNode({ type: 'Literal', value: null, raw: 'null' }, startToken);
         }
 
         if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'undefined')) {
             this.advance();
-            return { type: 'Identifier', name: 'undefined' };
+            return this.finishNode({ type: 'Identifier', name: 'undefined' }, startToken);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'class')) {
+            return this.parseClass(false);
+        }
+
+        // Dynamic `import(source)` and `import.meta`
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'import')) {
+            this.advance();
+
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '.')) {
+                this.advance();
+                const meta = this.createIdentifier(startToken);
+                const propertyToken = this.consume(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER);
+                if (propertyToken && propertyToken.value !== 'meta') {
+                    this.addError(`The only valid meta property for import is 'import.meta'`);
+                }
+                return this.finishNode({
+                    type: 'MetaProperty',
+                    meta,
+                    property: propertyToken ? this.createIdentifier(propertyToken) : null
+                }, startToken);
+            }
+
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(');
+            const source = this.parseAssignmentExpression();
+            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+            return this.finishNode({ type: 'ImportExpression', source }, startToken);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'this')) {
+            this.advance();
+            return this.finishNode({ type: 'ThisExpression' }, startToken);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.KEYWORD, 'super')) {
+            this.advance();
+            return this.finishNode({ type: 'Super' }, startToken);
         }
 
-        // Parenthesized expression
+        // Parenthesized expression; `in` is an operator again inside the parentheses
         if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
             this.advance();
+            const noIn = this.noIn;
+            this.noIn = false;
             const expression = this.parseExpression();
+            this.noIn = noIn;
             this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ')');
+            if (expression) {
+                this.parenthesizedNodes.add(expression);
+            }
             return expression;
         }
 
@@ -985,12 +3447,18 @@ class JavaScriptParser {
             return this.parseObjectExpression();
         }
 
-        this.addError(`Unexpected token: '${this.currentToken().value}'`);
+        // A closing token ends the enclosing construct: the expression is missing.
+        // Anything else is consumed into the placeholder.
+        this.addError(`Unexpected token: '${startToken.value}'`);
+        if (startToken.type === JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR && [')', ']', '}', ';', ','].includes(startToken.value)) {
+            return this.createErrorNode('Missing expression', startToken);
+        }
         this.advance();
-        return null;
+        return this.createErrorNode(`Unexpected token '${startToken.value}'`, startToken);
     }
 
     parseArrayExpression() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '[');
         const elements = [];
 
@@ -1001,22 +3469,117 @@ class JavaScriptParser {
                 elements.push(null); // Sparse array
                 this.advance();
             } else {
-                elements.push(this.parseExpression());
-                if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
-                    this.advance();
+                elements.push(this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...')
+                    ? this.parseSpreadElement()
+                    : this.parseAssignmentExpression());
+
+                // Without a `,` the array ends here; statement recovery skips the rest
+                if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']') &&
+                    !this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                    break;
                 }
             }
         }
 
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ']');
 
-        return {
+        return this.finishNode({
             type: 'ArrayExpression',
             elements
-        };
+        }, startToken);
+    }
+
+    // `async`, `get`, `set` are modifiers only when a property name follows: `{ get: 1 }`, `{ get() {} }`
+    isPropertyModifier(value) {
+        if (!this.isContextualKeyword(value)) return false;
+
+        const next = this.peekToken();
+        return !!next && next.type !== JavaScriptLexer.TOKEN_TYPES.EOF && !['(', ',', ':', '}', '='].includes(next.value) &&
+            (value !== 'async' || next.line === this.currentToken().line);
+    }
+
+    // One ESTree Property: `a: 1`, `a`, `a = 1` (only as a pattern), `[k]: v`,
+    // `m() {}`, `async *m() {}`, `get x() {}`, `set x(v) {}`
+    parseObjectProperty() {
+        const startToken = this.currentToken();
+
+        let isAsync = false;
+        if (this.isPropertyModifier('async')) {
+            this.advance();
+            isAsync = true;
+        }
+
+        let isGenerator = false;
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '*')) {
+            this.advance();
+            isGenerator = true;
+        }
+
+        let kind = 'init';
+        if (!isAsync && !isGenerator && (this.isPropertyModifier('get') || this.isPropertyModifier('set'))) {
+            kind = this.currentToken().value;
+            this.advance();
+        }
+
+        const keyToken = this.currentToken();
+        const { key, computed } = this.parsePropertyKey();
+        if (key?.type === 'PrivateIdentifier') {
+            this.addError(`Private name '#${key.name}' is not allowed in an object literal`, keyToken);
+        }
+
+        const property = { type: 'Property', key, value: null, kind, method: false, shorthand: false, computed };
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '(')) {
+            property.value = this.parseMethodFunction(isAsync, isGenerator);
+            property.method = kind === 'init';
+            this.checkAccessorParams(kind, property.value, keyToken);
+            return this.finishNode(property, startToken);
+        }
+
+        if (kind !== 'init' || isAsync || isGenerator) {
+            this.addError(`Expected '(' after method name`);
+        }
+
+        if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':')) {
+            this.advance();
+            property.value = this.parseAssignmentExpression();
+            return this.finishNode(property, startToken);
+        }
+
+        // Shorthand `{ a }` uses the identifier as both key and value; keywords cannot be shorthand
+        if (key?.type === 'Identifier' && !computed && keyToken.type === JavaScriptLexer.TOKEN_TYPES.IDENTIFIER) {
+            this.checkContextualName(keyToken);
+            property.shorthand = true;
+            property.value = { ...key };
+
+            // `{ a = 1 }` is only valid once the object turns into a destructuring pattern
+            if (this.match(JavaScriptLexer.TOKEN_TYPES.OPERATOR, '=')) {
+                this.advance();
+                property.value = this.finishNode({
+                    type: 'AssignmentPattern',
+                    left: { ...key },
+                    right: this.parseAssignmentExpression()
+                }, keyToken);
+                this.coverInitializers.add(property);
+            }
+            return this.finishNode(property, startToken);
+        }
+
+        this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':');
+        return this.finishNode(property, startToken);
+    }
+
+    // Getters take no parameters and setters exactly one (not a rest parameter)
+    checkAccessorParams(kind, fn, keyToken) {
+        if (kind === 'get' && fn.params.length !== 0) {
+            this.addError('Getter must not have any formal parameters', keyToken);
+        } else if (kind === 'set' && (fn.params.length !== 1 || fn.params[0].type === 'RestElement')) {
+            this.addError('Setter must have exactly one formal parameter', keyToken);
+        }
     }
 
     parseObjectExpression() {
+        const startToken = this.currentToken();
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '{');
         const properties = [];
 
@@ -1024,57 +3587,122 @@ class JavaScriptParser {
             this.currentToken() &&
             this.currentToken().type !== JavaScriptLexer.TOKEN_TYPES.EOF) {
 
-            let key = null;
-
-            if (this.match(JavaScriptLexer.TOKEN_TYPES.IDENTIFIER)) {
-                key = { type: 'Identifier', name: this.currentToken().value };
-                this.advance();
-            } else if (this.match(JavaScriptLexer.TOKEN_TYPES.STRING)) {
-                const value = this.currentToken().value;
-                key = { type: 'Literal', value: value.slice(1, -1), raw: value };
-                this.advance();
-            }
-
-            this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ':');
-            const value = this.parseExpression();
-
-            properties.push({
-                type: 'Property',
-                key,
-                value,
-                kind: 'init'
-            });
+            properties.push(this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '...')
+                ? this.parseSpreadElement()
+                : this.parseObjectProperty());
 
-            if (this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
-                this.advance();
+            if (!this.match(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}') &&
+                !this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, ',')) {
+                break;
             }
         }
 
         this.consume(JavaScriptLexer.TOKEN_TYPES.PUNCTUATOR, '}');
 
-        return {
+        return this.finishNode({
             type: 'ObjectExpression',
             properties
-        };
+        }, startToken);
     }
 
     parse() {
         try {
-            this.ast = this.parseProgram();
-            return { ast: this.ast, errors: this.errors };
+            this.ast = attachComments(this.parseProgram(), this.comments, this.tokens);
+            this.coverInitializers.forEach(property => {
+                this.errors.push({
+                    message: "Invalid shorthand property initializer: use ':' instead of '=' outside destructuring",
+                    line: property.loc.start.line,
+                    column: property.loc.start.column + 1,
+                    token: property.key.name
+                });
+            });
+            return { ast: this.ast, errors: this.errors, warnings: this.warnings };
         } catch (error) {
             this.addError(`Fatal parse error: ${error.message}`);
-            return { ast: null, errors: this.errors };
+            return { ast: null, errors: this.errors, warnings: this.warnings };
         }
     }
 }
 
+// ESTree-style comment: `value` is the text without its delimiters
+function createComment(token) {
+    const isBlock = token.value.startsWith('/*');
+    const closed = isBlock && token.value.length >= 4 && token.value.endsWith('*/');
+    return {
+        type: isBlock ? 'Block' : 'Line',
+        value: token.value.slice(2, closed ? -2 : undefined),
+        loc: {
+            start: { line: token.line, column: token.column - 1 },
+            end: { line: token.endLine, column: token.endColumn - 1 }
+        },
+        range: [token.start, token.end]
+    };
+}
+
+// Gives nodes the comments written right before them as `leadingComments`: each
+// comment goes to the outermost node that starts at the first token after it
+// (the statement, not its expression). `comments` and `tokens` are lexer tokens.
+export function attachComments(ast, comments, tokens) {
+    if (!ast || comments.length === 0) return ast;
+
+    const nodesByStart = new Map();
+    const visit = node => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (!node || typeof node !== 'object' || typeof node.type !== 'string') return;
+
+        if (node !== ast && node.range && !nodesByStart.has(node.range[0])) {
+            nodesByStart.set(node.range[0], node);
+        }
+        Object.keys(node).forEach(key => {
+            if (key !== 'loc' && key !== 'range' && key !== 'leadingComments') {
+                visit(node[key]);
+            }
+        });
+    };
+    visit(ast);
+
+    // Both lists are in source order: walk them together
+    let next = 0;
+    comments.forEach(comment => {
+        while (next < tokens.length && tokens[next].start < comment.end) next++;
+        const node = next < tokens.length ? nodesByStart.get(tokens[next].start) : null;
+        if (node) {
+            node.leadingComments = [...(node.leadingComments || []), createComment(comment)];
+        }
+    });
+    return ast;
+}
+
+// Shared pipeline entry point: tokens and AST without any report formatting.
+// Every later stage (semantic analysis, UI) consumes this instead of re-parsing.
+// `options.asiWarnings` enables the automatic semicolon insertion warnings.
+export function parseCode(code, options = {}) {
+    const lexer = new JavaScriptLexer(code);
+    const lexicalResult = lexer.tokenize();
+
+    const parser = new JavaScriptParser(lexicalResult.tokens, options);
+    const syntacticResult = parser.parse();
+
+    return {
+        tokens: lexicalResult.tokens,
+        lexicalErrors: lexicalResult.errors,
+        ast: syntacticResult.ast,
+        syntaxErrors: syntacticResult.errors,
+        syntaxWarnings: syntacticResult.warnings
+    };
+}
+
 // Main analyzer function
-export function analyzeLexicalSyntactic(code) {
+// `parse` produces the parseCode result; parser-backends.js supplies the Babel and Esprima ones
+export function analyzeLexicalSyntactic(code, options = {}, parse = parseCode) {
     try {
+        const parsed = parse(code, options);
+
         // Lexical Analysis
-        const lexer = new JavaScriptLexer(code);
-        const lexicalResult = lexer.tokenize();
+        const lexicalResult = { tokens: parsed.tokens, errors: parsed.lexicalErrors };
 
         // Format lexical analysis output
         let lexicalOutput = "=== ANÁLISIS LÉXICO ===\n\n";
@@ -1115,11 +3743,17 @@ export function analyzeLexicalSyntactic(code) {
         });
 
         // Syntactic Analysis
-        const parser = new JavaScriptParser(lexicalResult.tokens);
-        const syntacticResult = parser.parse();
+        const syntacticResult = { ast: parsed.ast, errors: parsed.syntaxErrors, warnings: parsed.syntaxWarnings };
 
         let syntacticOutput = "=== ANÁLISIS SINTÁCTICO ===\n\n";
-        syntacticOutput += `Errores sintácticos: ${syntacticResult.errors.length}\n\n`;
+        if (parsed.parser) {
+            syntacticOutput += `Parser: ${parsed.parser}\n`;
+        }
+        syntacticOutput += `Errores sintácticos: ${syntacticResult.errors.length}\n`;
+        if (options.asiWarnings) {
+            syntacticOutput += `Advertencias sintácticas: ${syntacticResult.warnings.length}\n`;
+        }
+        syntacticOutput += "\n";
 
         if (syntacticResult.errors.length > 0) {
             syntacticOutput += "ERRORES SINTÁCTICOS:\n";
@@ -1132,9 +3766,22 @@ export function analyzeLexicalSyntactic(code) {
             syntacticOutput += "\n";
         }
 
+        if (syntacticResult.warnings.length > 0) {
+            syntacticOutput += "ADVERTENCIAS SINTÁCTICAS (ASI):\n";
+            syntacticResult.warnings.forEach((warning, index) => {
+                syntacticOutput += `${index + 1}. Línea ${warning.line}, Columna ${warning.column}: ${warning.message}\n`;
+            });
+            syntacticOutput += "\n";
+        }
+
         if (syntacticResult.ast) {
-            syntacticOutput += "ÁRBOL SINTÁCTICO ABSTRACTO (AST):\n";
-            syntacticOutput += JSON.stringify(syntacticResult.ast, null, 2);
+            // With syntax errors the tree is partial: ErrorNode marks what could not be parsed
+            syntacticOutput += syntacticResult.errors.length > 0
+                ? "ÁRBOL SINTÁCTICO ABSTRACTO (AST PARCIAL, ErrorNode marca el código no reconocido):\n"
+                : "ÁRBOL SINTÁCTICO ABSTRACTO (AST):\n";
+            // BigInt values cannot be serialized directly
+            syntacticOutput += JSON.stringify(syntacticResult.ast,
+                (key, value) => typeof value === 'bigint' ? `${value}n` : value, 2);
 
             // AST Statistics
             syntacticOutput += "\n\nESTADÍSTICAS DEL AST:\n";
@@ -1148,6 +3795,8 @@ export function analyzeLexicalSyntactic(code) {
                 }
 
                 for (const key in node) {
+                    // Comments are not AST nodes
+                    if (key === 'leadingComments') continue;
                     if (Array.isArray(node[key])) {
                         node[key].forEach(countNodes);
                     } else if (typeof node[key] === 'object') {
@@ -1170,6 +3819,7 @@ export function analyzeLexicalSyntactic(code) {
             syntacticResult: syntacticOutput,
             lexicalErrors: lexicalResult.errors.length,
             syntaxErrors: syntacticResult.errors.length,
+            syntaxWarnings: syntacticResult.warnings.length,
             tokenCount: lexicalResult.tokens.length - 1, // Exclude EOF
             ast: syntacticResult.ast
         };
@@ -1181,8 +3831,9 @@ export function analyzeLexicalSyntactic(code) {
             syntacticResult: errorMessage,
             lexicalErrors: 1,
             syntaxErrors: 1,
+            syntaxWarnings: 0,
             tokenCount: 0,
             ast: null
         };
     }
-}
\ No newline at end of file
+}
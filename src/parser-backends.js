@@ -0,0 +1,242 @@
+// parser-backends.js
+// Backends sintácticos intercambiables: el parser propio, @babel/parser o Esprima.
+// Todos devuelven el mismo resultado que parseCode (tokens, errores y un AST ESTree
+// normalizado) para que el análisis semántico y los informes no dependan del backend.
+
+import { parse as babelParse } from '@babel/parser';
+import esprima from 'esprima';
+import { JavaScriptLexer, attachComments, parseCode } from './lexer-parser.js';
+
+const MODULE_DECLARATIONS = new Set([
+    'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration', 'ExportAllDeclaration'
+]);
+
+// Parser-specific members that have no ESTree counterpart in the in-house AST
+const NON_ESTREE_KEYS = new Set([
+    'start', 'end', 'extra', 'comments', 'tokens', 'errors',
+    'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+function isModuleProgram(program) {
+    return program.body.some(stmt => MODULE_DECLARATIONS.has(stmt.type));
+}
+
+// 1-based line and column of a source offset, as the in-house lexer reports them
+function positionAt(code, index) {
+    const before = code.slice(0, index);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: index - lineStart + 1 };
+}
+
+// Copy of a foreign ESTree tree in the in-house shape: plain `loc` objects with
+// 0-based columns, a `range` on every node and no parser-specific members
+function toEstree(node) {
+    if (Array.isArray(node)) return node.map(toEstree);
+    if (!node || typeof node !== 'object' || node instanceof RegExp) return node;
+
+    const copy = {};
+    for (const key of Object.keys(node)) {
+        if (NON_ESTREE_KEYS.has(key) || key === 'loc' || key === 'range') continue;
+        copy[key] = toEstree(node[key]);
+    }
+
+    if (node.loc) {
+        copy.loc = {
+            start: { line: node.loc.start.line, column: node.loc.start.column },
+            end: { line: node.loc.end.line, column: node.loc.end.column }
+        };
+    }
+    const range = node.range || (typeof node.start === 'number' ? [node.start, node.end] : null);
+    if (range) copy.range = [range[0], range[1]];
+    return copy;
+}
+
+function tokenTypeFor(raw) {
+    const { TOKEN_TYPES } = JavaScriptLexer;
+    return JavaScriptLexer.OPERATORS.has(raw) ? TOKEN_TYPES.OPERATOR : TOKEN_TYPES.PUNCTUATOR;
+}
+
+// Token in the in-house lexer shape; `value` is always the source text
+function createToken(code, type, start, end) {
+    const from = positionAt(code, start);
+    const to = positionAt(code, end);
+    return {
+        type,
+        value: code.slice(start, end),
+        line: from.line,
+        column: from.column,
+        start,
+        end,
+        endLine: to.line,
+        endColumn: to.column
+    };
+}
+
+// toEstree drops the parser's own comment attachment; attach them as the in-house parser does
+function withComments(ast, tokens) {
+    const { COMMENT } = JavaScriptLexer.TOKEN_TYPES;
+    return attachComments(ast, tokens.filter(token => token.type === COMMENT), tokens.filter(token => token.type !== COMMENT));
+}
+
+function withEof(code, tokens) {
+    return [...tokens, createToken(code, JavaScriptLexer.TOKEN_TYPES.EOF, code.length, code.length)];
+}
+
+// Babel appends the position to its messages: "Unexpected token (3:4)"
+function createError(code, message, index) {
+    return {
+        message: message.replace(/ \(\d+:\d+\)$/, ''),
+        ...positionAt(code, Math.min(index ?? 0, code.length))
+    };
+}
+
+// @babel/parser File with the ESTree plugin. Like the in-house parser, only
+// sources with import/export are modules: Babel's 'unambiguous' mode would keep
+// strict-mode errors from its first, module, attempt.
+export function parseBabelFile(code, options = {}) {
+    const parse = sourceType => babelParse(code, {
+        sourceType,
+        errorRecovery: true,
+        ...options,
+        plugins: [['estree', { classFeatures: true }]]
+    });
+
+    const file = parse('module');
+    return isModuleProgram(file.program) ? file : parse('script');
+}
+
+function babelTokenType(token, raw) {
+    const { TOKEN_TYPES } = JavaScriptLexer;
+    if (token.type === 'CommentLine' || token.type === 'CommentBlock') return TOKEN_TYPES.COMMENT;
+
+    switch (token.type.label) {
+        case 'name':
+            return JavaScriptLexer.KEYWORDS.has(raw) ? TOKEN_TYPES.KEYWORD : TOKEN_TYPES.IDENTIFIER;
+        case 'num':
+        case 'bigint':
+        case 'decimal':
+            return TOKEN_TYPES.NUMBER;
+        case 'string':
+            return TOKEN_TYPES.STRING;
+        case 'regexp':
+            return TOKEN_TYPES.REGEX;
+        case 'privateName':
+            return TOKEN_TYPES.PRIVATE_NAME;
+        case 'template':
+        case '`':
+        case '${':
+            return TOKEN_TYPES.TEMPLATE_LITERAL;
+        default:
+            return token.type.keyword ? TOKEN_TYPES.KEYWORD : tokenTypeFor(raw);
+    }
+}
+
+// Babel and Esprima do not tell lexical from syntax errors: all of them are syntax errors
+function parseWithBabelBackend(code) {
+    try {
+        const file = parseBabelFile(code, { tokens: true });
+        const tokens = file.tokens
+            .filter(token => token.type.label !== 'eof')
+            .map(token => createToken(code, babelTokenType(token, code.slice(token.start, token.end)), token.start, token.end));
+
+        return {
+            tokens: withEof(code, tokens),
+            lexicalErrors: [],
+            ast: withComments(toEstree(file.program), tokens),
+            syntaxErrors: (file.errors || []).map(error => createError(code, error.message, error.pos)),
+            syntaxWarnings: []
+        };
+    } catch (error) {
+        return {
+            tokens: withEof(code, []),
+            lexicalErrors: [],
+            ast: null,
+            syntaxErrors: [createError(code, error.message, error.pos)],
+            syntaxWarnings: []
+        };
+    }
+}
+
+const ESPRIMA_TOKEN_TYPES = {
+    Keyword: 'KEYWORD',
+    Boolean: 'KEYWORD',
+    Null: 'KEYWORD',
+    Identifier: 'IDENTIFIER',
+    Numeric: 'NUMBER',
+    String: 'STRING',
+    Template: 'TEMPLATE_LITERAL',
+    RegularExpression: 'REGEX',
+    Line: 'COMMENT',
+    Block: 'COMMENT',
+    LineComment: 'COMMENT',
+    BlockComment: 'COMMENT'
+};
+
+function esprimaTokens(code, tokens, comments) {
+    return [...tokens, ...comments]
+        .sort((a, b) => a.range[0] - b.range[0])
+        .map(token => {
+            const type = JavaScriptLexer.TOKEN_TYPES[ESPRIMA_TOKEN_TYPES[token.type]]
+                || tokenTypeFor(code.slice(token.range[0], token.range[1]));
+            return createToken(code, type, token.range[0], token.range[1]);
+        });
+}
+
+// Esprima stops at the first non-recoverable error; `tolerant` collects the rest
+function parseWithEsprimaBackend(code) {
+    const options = { loc: true, range: true, tokens: true, comment: true, tolerant: true };
+
+    try {
+        let program;
+        try {
+            program = esprima.parseModule(code, options);
+        } catch {
+            program = null;
+        }
+        if (!program || !isModuleProgram(program)) {
+            program = esprima.parseScript(code, options);
+        }
+
+        const tokens = esprimaTokens(code, program.tokens, program.comments);
+        return {
+            tokens: withEof(code, tokens),
+            lexicalErrors: [],
+            ast: withComments(toEstree(program), tokens),
+            syntaxErrors: program.errors.map(error => createError(code, error.description, error.index)),
+            syntaxWarnings: []
+        };
+    } catch (error) {
+        let tokens = [];
+        try {
+            // With `comment` the comments come interleaved with the tokens
+            tokens = esprima.tokenize(code, { range: true, comment: true, tolerant: true });
+        } catch {
+            // The tokens up to the error are not available either
+        }
+        return {
+            tokens: withEof(code, esprimaTokens(code, tokens, [])),
+            lexicalErrors: [],
+            ast: null,
+            syntaxErrors: [createError(code, error.description || error.message, error.index)],
+            syntaxWarnings: []
+        };
+    }
+}
+
+export const DEFAULT_PARSER_BACKEND = 'inhouse';
+
+export const PARSER_BACKENDS = {
+    inhouse: { label: 'Parser propio (descenso recursivo)', parse: parseCode },
+    babel: { label: '@babel/parser', parse: parseWithBabelBackend },
+    esprima: { label: 'Esprima', parse: parseWithEsprimaBackend }
+};
+
+// Parses with the backend named by `options.parser` (the in-house parser by default)
+export function parseWithBackend(code, options = {}) {
+    const name = options.parser || DEFAULT_PARSER_BACKEND;
+    const backend = PARSER_BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown parser backend '${name}': expected one of ${Object.keys(PARSER_BACKENDS).join(', ')}`);
+    }
+    return { ...backend.parse(code, options), parser: backend.label };
+}
@@ -0,0 +1,128 @@
+// rules.js
+// Reglas del análisis semántico: cada comprobación tiene un identificador, una
+// severidad por defecto ('off', 'warn' o 'error') y sus opciones. La configuración
+// que recibe analyzeSemantics cambia la severidad y las opciones de cada regla:
+//
+//   { rules: { eqeqeq: ['error', { allowNull: true }], 'no-double-negation': 'off' } }
+
+export const SEVERITIES = ['off', 'warn', 'error'];
+
+export const RULES = {
+    // Early errors: code the engine rejects before running it
+    'no-redeclare': { severity: 'error', description: 'Identificadores declarados dos veces en el mismo ámbito' },
+    'const-requires-init': { severity: 'error', description: 'Declaraciones const sin valor inicial' },
+    'invalid-export': { severity: 'error', description: 'Exportaciones duplicadas o de nombres no declarados' },
+    'strict-mode': { severity: 'error', description: 'Construcciones prohibidas en modo estricto y en módulos' },
+    'constructor-super': { severity: 'error', description: 'Constructores de clases derivadas que no llaman a super()' },
+    'duplicate-constructor': { severity: 'error', description: 'Clases con más de un constructor' },
+    'private-name': { severity: 'error', description: 'Nombres privados (#x) duplicados o no declarados' },
+    'invalid-super': { severity: 'error', description: 'super y super() fuera de donde están permitidos' },
+    'invalid-meta-property': { severity: 'error', description: 'new.target fuera de funciones e import.meta fuera de módulos' },
+    'invalid-label': { severity: 'error', description: 'Etiquetas duplicadas o inexistentes' },
+    'illegal-jump': { severity: 'error', description: 'break y continue fuera de un bucle o switch' },
+    'invalid-await': { severity: 'error', description: 'await fuera de funciones async y del nivel superior de módulos' },
+    'invalid-yield': { severity: 'error', description: 'yield fuera de funciones generadoras' },
+    'invalid-return': { severity: 'error', description: 'return fuera de una función' },
+    'duplicate-proto': { severity: 'error', description: 'Varios __proto__ en un mismo objeto literal' },
+
+    // Runtime errors
+    'no-undef': { severity: 'error', description: 'Uso de identificadores no declarados' },
+    'no-tdz-access': { severity: 'error', description: 'Acceso a let, const o class antes de su declaración' },
+    'no-const-assign': { severity: 'error', description: 'Asignación a constantes' },
+    'no-import-assign': { severity: 'error', description: 'Asignación a enlaces importados' },
+    'no-this-before-super': { severity: 'error', description: 'this antes de super() en constructores derivados' },
+    'no-class-call': { severity: 'error', description: 'Llamadas a clases sin new' },
+    'no-new-arrow': { severity: 'error', description: 'new sobre funciones flecha' },
+    'no-mixed-bigint': { severity: 'error', description: 'Operaciones aritméticas entre BigInt y number' },
+    'no-uninitialized-read': { severity: 'error', description: 'Lecturas de variables que aún no tienen valor' },
+
+    // Control and data flow
+    'no-unreachable': { severity: 'warn', description: 'Código inalcanzable' },
+    'no-fallthrough': { severity: 'warn', description: 'Casos de switch que continúan en el siguiente' },
+    'no-infinite-loop': { severity: 'warn', description: 'Bucles de los que no se puede salir' },
+    'missing-return': {
+        severity: 'warn',
+        description: 'Declaraciones de función sin ninguna sentencia return',
+        // Functions not expected to return a value
+        options: { ignore: ['main'] }
+    },
+    'consistent-return': { severity: 'warn', description: 'Funciones que solo devuelven un valor en algunos caminos' },
+    'require-await': { severity: 'warn', description: 'Funciones async sin ningún await' },
+    'no-maybe-uninitialized': { severity: 'warn', description: 'Lecturas de variables sin asignar en algún camino' },
+    'no-dead-store': { severity: 'warn', description: 'Valores asignados que nunca se leen' },
+    'no-use-before-define': { severity: 'warn', description: 'Uso de variables var antes de su declaración' },
+    'no-unused-vars': {
+        severity: 'warn',
+        description: 'Variables, parámetros e importaciones sin usar',
+        // `args` also reports parameters; names matching `ignorePattern` are skipped
+        options: { args: true, ignorePattern: null }
+    },
+
+    // Suspicious code
+    eqeqeq: {
+        severity: 'warn',
+        description: 'Comparaciones con == y != en lugar de === y !==',
+        // `allowNull` accepts `x == null`, which also matches undefined
+        options: { allowNull: false }
+    },
+    'no-double-negation': { severity: 'warn', description: 'Doble negación (!!) para convertir a booleano' },
+    'constant-condition': {
+        severity: 'warn',
+        description: 'Condiciones y operandos lógicos de valor constante',
+        options: { checkLoops: true }
+    },
+    'unknown-console-method': {
+        severity: 'warn',
+        description: 'Métodos de console no reconocidos',
+        options: { methods: ['log', 'warn', 'error', 'info', 'debug'] }
+    },
+    'argument-count': { severity: 'warn', description: 'Llamadas con un número de argumentos distinto del esperado' },
+    'no-dupe-keys': { severity: 'warn', description: 'Claves repetidas en objetos literales' },
+    'no-dupe-class-members': { severity: 'warn', description: 'Miembros de clase repetidos' },
+    'no-delete-var': { severity: 'warn', description: 'delete sobre identificadores sin calificar' },
+    'unsupported-node': { severity: 'warn', description: 'Nodos del AST que el análisis no reconoce' },
+
+    // Inferred types
+    'not-callable': { severity: 'warn', description: 'Llamadas o new sobre valores que no son funciones' },
+    'string-number-concat': { severity: 'warn', description: 'Suma de cadenas y números' },
+    'numeric-operand': { severity: 'warn', description: 'Operaciones numéricas sobre valores no numéricos' },
+    'compare-types': { severity: 'warn', description: 'Comparaciones relacionales entre tipos distintos' },
+    'constant-comparison': { severity: 'warn', description: 'Comparaciones estrictas siempre verdaderas o siempre falsas' },
+    'invalid-operand': { severity: 'warn', description: "Operandos de 'in' e 'instanceof' de tipo incorrecto" },
+    'iteration-type': { severity: 'warn', description: 'for-in sobre arrays y for-of sobre objetos' },
+
+    // JSDoc
+    'jsdoc-require-param': { severity: 'warn', description: 'Parámetros sin @param en funciones documentadas' },
+    'jsdoc-check-param-names': { severity: 'warn', description: '@param de parámetros que no existen' },
+    'jsdoc-check-types': { severity: 'warn', description: 'Argumentos y valores devueltos que no cumplen @param y @returns' }
+};
+
+// Rule id -> { severity, options }: the defaults of RULES with `config` applied.
+// Each entry of `config` is a severity or `[severity, options]`.
+export function resolveRules(config = {}) {
+    const resolved = new Map(Object.entries(RULES).map(([id, rule]) => [
+        id,
+        { severity: rule.severity, options: { ...rule.options } }
+    ]));
+
+    Object.entries(config).forEach(([id, setting]) => {
+        const rule = RULES[id];
+        if (!rule) {
+            throw new Error(`Unknown rule '${id}'`);
+        }
+
+        const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity '${severity}' for rule '${id}': expected one of ${SEVERITIES.join(', ')}`);
+        }
+        Object.keys(options).forEach(key => {
+            if (!rule.options || !(key in rule.options)) {
+                throw new Error(`Unknown option '${key}' for rule '${id}'`);
+            }
+        });
+
+        resolved.set(id, { severity, options: { ...rule.options, ...options } });
+    });
+
+    return resolved;
+}
@@ -1,12 +1,26 @@
 // semantic-analyzer.js
 // Analizador Semántico para JavaScript
 
+import { parseCode } from './lexer-parser.js';
+import { buildControlFlowGraph } from './control-flow.js';
+import { analyzeDataFlow } from './data-flow.js';
+import {
+    describeType, inferExpressionTypes, inferTypes, isKnownType, isOnly, kindOf, sameType, typeKinds, unionTypes
+} from './type-inference.js';
+import { collectFunctionDocs } from './jsdoc.js';
+import { resolveRules } from './rules.js';
+
 class SymbolTable {
     constructor(parent = null) {
         this.parent = parent;
         this.symbols = new Map();
         this.children = [];
-        this.scopeType = 'block'; // 'global', 'function', 'block'
+        this.scopeType = 'block'; // 'global', 'module', 'function', 'block'
+        // Receives the `var` declarations nested in it: program, function body or static block
+        this.isVarScope = false;
+        // 'function' / 'catch' for the block of a function or catch clause, whose
+        // parameters live in the parent scope
+        this.bodyOf = null;
     }
 
     define(name, info) {
@@ -31,6 +45,18 @@ class SymbolTable {
         return null;
     }
 
+    // Scope that declares `name`, searching outwards like lookup()
+    lookupScope(name) {
+        if (this.symbols.has(name)) {
+            return this;
+        }
+        return this.parent ? this.parent.lookupScope(name) : null;
+    }
+
+    getVarScope() {
+        return this.isVarScope || !this.parent ? this : this.parent.getVarScope();
+    }
+
     createChild(scopeType = 'block') {
         const child = new SymbolTable(this);
         child.scopeType = scopeType;
@@ -53,12 +79,52 @@ class SymbolTable {
 }
 
 class SemanticAnalyzer {
-    constructor() {
+    // Valid identifiers in sloppy code, reserved in strict mode code
+    static STRICT_RESERVED_WORDS = new Set([
+        'implements', 'interface', 'let', 'package', 'private', 'protected', 'public', 'static', 'yield'
+    ]);
+
+    // Bindings that cannot share their scope with another declaration of the same name
+    static LEXICAL_KINDS = new Set(['let', 'const', 'class', 'import']);
+
+    // Inferred kinds for the type checks (see type-inference.js)
+    static PRIMITIVE_KINDS = ['undefined', 'null', 'boolean', 'number', 'string', 'bigint', 'symbol'];
+    // Dates are left out: arithmetic turns them into their timestamp
+    static NON_NUMERIC_KINDS = ['string', 'object', 'array', 'regexp', 'function', 'class', 'symbol'];
+
+    // `config.rules` sets the severity and options of each rule (see rules.js)
+    constructor(config = {}) {
+        this.rules = resolveRules(config.rules);
         this.globalScope = new SymbolTable();
         this.currentScope = this.globalScope;
         this.errors = [];
         this.warnings = [];
         this.functionStack = [];
+        this.classStack = [];
+        // Enclosing loops, switches and labels of the current function body
+        this.jumpTargets = [];
+        // Module state: exported names and local `export { a }` to resolve at the end
+        this.sourceType = 'script';
+        this.exportedNames = new Map();
+        this.pendingExports = [];
+        // Modules, class bodies and code under a 'use strict' directive
+        this.strict = false;
+        // let/const/class names bound when their scope was entered (hoisting)
+        this.hoistedIds = new WeakSet();
+        // Identifier nodes of the analyzed code -> symbol they refer to (data flow)
+        this.references = new WeakMap();
+        // Bodies whose types are inferred once the whole program is known, the
+        // inferred types and the operations checked against them
+        this.bodies = [];
+        this.expressionTypes = new Map();
+        this.returnTypes = new Map();
+        this.typeChecks = [];
+        // Function node -> its JSDoc (@param / @returns)
+        this.functionDocs = new Map();
+        // Functions that read their `arguments`: they accept any number of them
+        this.argumentsReaders = new WeakSet();
+        // Calls and `new` whose argument count is checked at the end
+        this.argumentChecks = [];
 
         // Initialize built-in objects and functions
         this.initializeBuiltins();
@@ -70,22 +136,50 @@ class SemanticAnalyzer {
             { name: 'console', type: 'object', builtin: true },
             { name: 'window', type: 'object', builtin: true },
             { name: 'document', type: 'object', builtin: true },
-            { name: 'Array', type: 'function', builtin: true },
-            { name: 'Object', type: 'function', builtin: true },
-            { name: 'String', type: 'function', builtin: true },
-            { name: 'Number', type: 'function', builtin: true },
-            { name: 'Boolean', type: 'function', builtin: true },
-            { name: 'Date', type: 'function', builtin: true },
+            { name: 'Array', type: 'function', builtin: true, returns: 'array' },
+            { name: 'Object', type: 'function', builtin: true, returns: 'object' },
+            { name: 'String', type: 'function', builtin: true, returns: 'string' },
+            { name: 'Number', type: 'function', builtin: true, returns: 'number' },
+            { name: 'Boolean', type: 'function', builtin: true, returns: 'boolean' },
+            { name: 'Date', type: 'function', builtin: true, instances: 'date' },
             { name: 'RegExp', type: 'function', builtin: true },
+            { name: 'Function', type: 'function', builtin: true },
+            { name: 'Symbol', type: 'function', builtin: true, returns: 'symbol' },
+            { name: 'BigInt', type: 'function', builtin: true, returns: 'bigint' },
+            { name: 'Promise', type: 'function', builtin: true },
+            { name: 'Proxy', type: 'function', builtin: true },
             { name: 'Math', type: 'object', builtin: true },
             { name: 'JSON', type: 'object', builtin: true },
+            { name: 'Reflect', type: 'object', builtin: true },
+            { name: 'Intl', type: 'object', builtin: true },
+            { name: 'Atomics', type: 'object', builtin: true },
+            { name: 'globalThis', type: 'object', builtin: true },
+
+            // Collections, binary data and memory management
+            ...[
+                'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry',
+                'ArrayBuffer', 'SharedArrayBuffer', 'DataView',
+                'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+                'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+                'BigInt64Array', 'BigUint64Array'
+            ].map(name => ({ name, type: 'function', builtin: true })),
+
+            // Error constructors
+            ...[
+                'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError',
+                'EvalError', 'URIError', 'AggregateError'
+            ].map(name => ({ name, type: 'function', builtin: true, returns: 'object' })),
 
             // Global functions
-            { name: 'parseInt', type: 'function', builtin: true },
-            { name: 'parseFloat', type: 'function', builtin: true },
-            { name: 'isNaN', type: 'function', builtin: true },
-            { name: 'isFinite', type: 'function', builtin: true },
+            { name: 'parseInt', type: 'function', builtin: true, returns: 'number' },
+            { name: 'parseFloat', type: 'function', builtin: true, returns: 'number' },
+            { name: 'isNaN', type: 'function', builtin: true, returns: 'boolean' },
+            { name: 'isFinite', type: 'function', builtin: true, returns: 'boolean' },
             { name: 'eval', type: 'function', builtin: true },
+            { name: 'encodeURI', type: 'function', builtin: true, returns: 'string' },
+            { name: 'encodeURIComponent', type: 'function', builtin: true, returns: 'string' },
+            { name: 'decodeURI', type: 'function', builtin: true, returns: 'string' },
+            { name: 'decodeURIComponent', type: 'function', builtin: true, returns: 'string' },
             { name: 'setTimeout', type: 'function', builtin: true },
             { name: 'setInterval', type: 'function', builtin: true },
             { name: 'clearTimeout', type: 'function', builtin: true },
@@ -100,6 +194,8 @@ class SemanticAnalyzer {
         builtins.forEach(builtin => {
             this.globalScope.define(builtin.name, {
                 type: builtin.type,
+                returns: builtin.returns || null,
+                instances: builtin.instances || null,
                 builtin: true,
                 initialized: true,
                 used: false,
@@ -109,24 +205,44 @@ class SemanticAnalyzer {
         });
     }
 
-    addError(message, node = null) {
-        this.errors.push({
-            type: 'error',
-            message,
-            line: node?.line || 0,
-            column: node?.column || 0,
-            node: node?.type || 'unknown'
-        });
+    // Reports use 1-based columns like the lexer and parser; AST `loc` columns are 0-based
+    getPosition(node) {
+        if (node?.loc) {
+            return {
+                line: node.loc.start.line,
+                column: node.loc.start.column + 1,
+                endLine: node.loc.end.line,
+                endColumn: node.loc.end.column + 1
+            };
+        }
+        return { line: node?.line || 0, column: node?.column || 0 };
+    }
+
+    // Symbol table entries keep the declaring node so later diagnostics can point at it
+    getDeclarationPosition(node) {
+        const { line, column } = this.getPosition(node);
+        return { line, column, node };
     }
 
-    addWarning(message, node = null) {
-        this.warnings.push({
-            type: 'warning',
+    // A diagnostic of `ruleId`: an error or a warning by the rule's severity,
+    // dropped when the rule is off
+    report(ruleId, message, node = null) {
+        const { severity } = this.rules.get(ruleId);
+        if (severity === 'off') return;
+
+        const diagnostic = {
+            type: severity === 'error' ? 'error' : 'warning',
+            ruleId,
             message,
-            line: node?.line || 0,
-            column: node?.column || 0,
+            ...this.getPosition(node),
+            range: node?.range || null,
             node: node?.type || 'unknown'
-        });
+        };
+        (severity === 'error' ? this.errors : this.warnings).push(diagnostic);
+    }
+
+    ruleOptions(ruleId) {
+        return this.rules.get(ruleId).options;
     }
 
     enterScope(scopeType = 'block') {
@@ -152,6 +268,19 @@ class SemanticAnalyzer {
             case 'FunctionDeclaration':
                 this.analyzeFunctionDeclaration(node);
                 break;
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return this.analyzeFunctionExpression(node);
+            case 'ClassDeclaration':
+                this.analyzeClassDeclaration(node);
+                break;
+            case 'ClassExpression':
+                return this.analyzeClassExpression(node);
+            case 'ThisExpression':
+                return this.analyzeThisExpression(node);
+            case 'Super':
+                this.analyzeSuper(node);
+                break;
             case 'Identifier':
                 return this.analyzeIdentifier(node);
             case 'AssignmentExpression':
@@ -160,6 +289,15 @@ class SemanticAnalyzer {
             case 'CallExpression':
                 this.analyzeCallExpression(node);
                 break;
+            case 'NewExpression':
+                this.analyzeNewExpression(node);
+                break;
+            case 'ChainExpression':
+                this.analyzeNode(node.expression);
+                break;
+            case 'SequenceExpression':
+                node.expressions.forEach(expression => this.analyzeNode(expression));
+                break;
             case 'MemberExpression':
                 this.analyzeMemberExpression(node);
                 break;
@@ -191,226 +329,1237 @@ class SemanticAnalyzer {
                 this.analyzeWhileStatement(node);
                 break;
             case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement':
                 this.analyzeForStatement(node);
                 break;
+            case 'DoWhileStatement':
+                this.analyzeDoWhileStatement(node);
+                break;
             case 'ReturnStatement':
                 this.analyzeReturnStatement(node);
                 break;
+            case 'SwitchStatement':
+                this.analyzeSwitchStatement(node);
+                break;
+            case 'TryStatement':
+                this.analyzeTryStatement(node);
+                break;
+            case 'WithStatement':
+                this.analyzeWithStatement(node);
+                break;
+            case 'ThrowStatement':
+                this.analyzeNode(node.argument);
+                break;
+            case 'BreakStatement':
+                this.analyzeBreakStatement(node);
+                break;
+            case 'ContinueStatement':
+                this.analyzeContinueStatement(node);
+                break;
+            case 'LabeledStatement':
+                this.analyzeLabeledStatement(node);
+                break;
+            case 'ImportDeclaration':
+                // Bindings are hoisted in analyzeProgram
+                break;
+            case 'ExportNamedDeclaration':
+                this.analyzeExportNamedDeclaration(node);
+                break;
+            case 'ExportDefaultDeclaration':
+                this.analyzeExportDefaultDeclaration(node);
+                break;
+            case 'ExportAllDeclaration':
+                if (node.exported) {
+                    this.recordExport(node.exported);
+                }
+                break;
+            case 'AwaitExpression':
+                this.analyzeAwaitExpression(node);
+                break;
+            case 'YieldExpression':
+                this.analyzeYieldExpression(node);
+                break;
+            case 'ImportExpression':
+                this.analyzeNode(node.source);
+                break;
+            case 'MetaProperty':
+                this.analyzeMetaProperty(node);
+                break;
+            case 'EmptyStatement':
+            case 'DebuggerStatement':
+                break;
             case 'ArrayExpression':
                 this.analyzeArrayExpression(node);
                 break;
             case 'ObjectExpression':
                 this.analyzeObjectExpression(node);
                 break;
+            case 'SpreadElement':
+                this.analyzeNode(node.argument);
+                break;
             case 'Literal':
                 return this.analyzeLiteral(node);
             case 'TemplateLiteral':
                 return this.analyzeTemplateLiteral(node);
+            case 'TaggedTemplateExpression':
+                this.analyzeNode(node.tag);
+                this.analyzeNode(node.quasi);
+                break;
+            case 'ErrorNode':
+                // Placeholder for code the parser could not read; already reported as a syntax error
+                return { type: 'unknown' };
             default:
-                this.addWarning(`Unknown node type: ${node.type}`, node);
+                this.report('unsupported-node', `Unknown node type: ${node.type}`, node);
         }
     }
 
     analyzeProgram(node) {
         this.currentScope.scopeType = 'global';
+        this.functionDocs = collectFunctionDocs(node);
 
-        // First pass: collect all function declarations (hoisting)
-        node.body.forEach(stmt => {
-            if (stmt.type === 'FunctionDeclaration') {
-                this.hoistFunctionDeclaration(stmt);
-            }
-        });
+        // Top-level bindings of a module live in their own scope, not in the global one
+        this.sourceType = node.sourceType || 'script';
+        if (this.sourceType === 'module') {
+            this.enterScope('module');
+        }
+        this.strict = this.sourceType === 'module' || this.hasUseStrictDirective(node.body);
+        this.currentScope.isVarScope = true;
+
+        // First pass: imports and the program's declarations (hoisting)
+        node.body
+            .filter(stmt => stmt.type === 'ImportDeclaration')
+            .forEach(stmt => this.hoistImportDeclaration(stmt));
+        this.hoistDeclarations(node.body);
 
         // Second pass: analyze all statements
         node.body.forEach(stmt => this.analyzeNode(stmt));
+        this.buildControlFlow(node.body);
+
+        // `export { a }` may refer to declarations that come later
+        this.resolvePendingExports();
+        this.argumentChecks.forEach(({ node, calleeSymbol }) => this.checkArgumentCount(node, calleeSymbol));
+
+        // Types flow between functions through calls: infer them for the whole program
+        this.inferProgramTypes();
+        this.checkTypes();
 
         // Check for unused variables
         this.checkUnusedVariables();
     }
 
-    hoistFunctionDeclaration(node) {
-        if (node.id && node.id.name) {
-            const error = this.currentScope.define(node.id.name, {
-                type: 'function',
+    hoistImportDeclaration(node) {
+        node.specifiers.forEach(specifier => {
+            if (!specifier.local) return;
+            this.checkStrictBinding(specifier.local);
+
+            const error = this.currentScope.define(specifier.local.name, {
+                type: 'import',
                 initialized: true,
                 used: false,
-                params: node.params ? node.params.map(p => p.name) : [],
-                line: node.line || 0,
-                column: node.column || 0,
-                hoisted: true
+                source: node.source?.value,
+                ...this.getDeclarationPosition(specifier.local)
             });
 
             if (error) {
-                this.addError(error.error, node);
+                this.report('no-redeclare', error.error, specifier.local);
+            }
+        });
+    }
+
+    analyzeExportNamedDeclaration(node) {
+        if (node.declaration) {
+            this.analyzeNode(node.declaration);
+
+            // Exported declarations count as used
+            this.getDeclaredIdentifiers(node.declaration).forEach(id => {
+                this.recordExport(id);
+                const symbol = this.currentScope.lookup(id.name);
+                if (symbol) {
+                    symbol.used = true;
+                    symbol.exported = true;
+                }
+            });
+            return;
+        }
+
+        node.specifiers.forEach(specifier => {
+            this.recordExport(specifier.exported);
+
+            // Re-exports (`export { a } from 'mod'`) do not refer to local bindings
+            if (!node.source) {
+                this.pendingExports.push(specifier.local);
+            }
+        });
+    }
+
+    analyzeExportDefaultDeclaration(node) {
+        const declaration = node.declaration;
+        this.recordExport({ ...node, name: 'default' });
+        if (!declaration) return;
+
+        if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+            if (!declaration.id) {
+                // `export default function () {}` / `export default class {}`
+                if (declaration.type === 'FunctionDeclaration') {
+                    this.analyzeFunctionExpression(declaration);
+                } else {
+                    this.analyzeClass(declaration);
+                }
+                return;
+            }
+
+            this.analyzeNode(declaration);
+            const symbol = this.currentScope.lookup(declaration.id.name);
+            if (symbol) {
+                symbol.used = true;
             }
+            return;
+        }
+
+        if (this.isFunctionNode(declaration)) {
+            this.analyzeFunctionExpression(declaration, 'default');
+        } else {
+            this.analyzeNode(declaration);
         }
     }
 
+    recordExport(nameNode) {
+        if (!nameNode) return;
+
+        const name = nameNode.type === 'Literal' ? nameNode.value : nameNode.name;
+        if (this.exportedNames.has(name)) {
+            this.report('invalid-export', `Duplicate export of '${name}'`, nameNode);
+            return;
+        }
+        this.exportedNames.set(name, nameNode);
+    }
+
+    resolvePendingExports() {
+        this.pendingExports.forEach(local => {
+            if (local.type !== 'Identifier') {
+                this.report('invalid-export', `A string literal cannot be used as an exported binding without 'from'`, local);
+                return;
+            }
+
+            const symbol = this.currentScope.lookup(local.name);
+            if (!symbol || symbol.builtin) {
+                this.report('invalid-export', `Export '${local.name}' is not defined in this module`, local);
+            } else {
+                symbol.used = true;
+                symbol.exported = true;
+            }
+        });
+        this.pendingExports = [];
+    }
+
+    // Identifiers introduced by a declaration, including destructured names
+    getDeclaredIdentifiers(node) {
+        if (!node) return [];
+
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return node.declarations.flatMap(declarator => this.getDeclaredIdentifiers(declarator.id));
+            case 'FunctionDeclaration':
+            case 'ClassDeclaration':
+                return node.id ? [node.id] : [];
+            case 'Identifier':
+                return [node];
+            case 'AssignmentPattern':
+                return this.getDeclaredIdentifiers(node.left);
+            case 'RestElement':
+                return this.getDeclaredIdentifiers(node.argument);
+            case 'ArrayPattern':
+                return node.elements.flatMap(element => this.getDeclaredIdentifiers(element));
+            case 'ObjectPattern':
+                return node.properties.flatMap(property =>
+                    this.getDeclaredIdentifiers(property.type === 'RestElement' ? property : property.value));
+            default:
+                return [];
+        }
+    }
+
+    // Hoisting on entering a scope: `var` names move to the var scope (undefined
+    // until their declaration runs), function declarations are usable right away
+    // and let/const/class stay in the temporal dead zone until their declaration
+    hoistDeclarations(statements) {
+        if (this.currentScope.isVarScope) {
+            this.collectVarDeclarations(statements).forEach(id => this.hoistVar(id));
+        }
+
+        statements.forEach(stmt => {
+            const declaration = stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration'
+                ? stmt.declaration
+                : stmt;
+
+            if (declaration?.type === 'FunctionDeclaration') {
+                this.hoistFunctionDeclaration(declaration);
+            } else if (declaration?.type === 'ClassDeclaration') {
+                this.getDeclaredIdentifiers(declaration).forEach(id => this.hoistLexicalBinding(id, 'class', 'class'));
+            } else if (declaration?.type === 'VariableDeclaration' && declaration.kind !== 'var') {
+                const type = declaration.kind === 'const' ? 'const' : 'variable';
+                this.getDeclaredIdentifiers(declaration).forEach(id => this.hoistLexicalBinding(id, type, declaration.kind));
+            }
+        });
+    }
+
+    // `var` declarations of a var scope, including those in nested blocks and
+    // statements but not those of nested functions
+    collectVarDeclarations(node) {
+        if (!node) return [];
+        if (Array.isArray(node)) return node.flatMap(item => this.collectVarDeclarations(item));
+
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return node.kind === 'var' ? this.getDeclaredIdentifiers(node) : [];
+            case 'ExportNamedDeclaration':
+                return this.collectVarDeclarations(node.declaration);
+            case 'BlockStatement':
+                return this.collectVarDeclarations(node.body);
+            case 'IfStatement':
+                return this.collectVarDeclarations([node.consequent, node.alternate]);
+            case 'ForStatement':
+                return this.collectVarDeclarations([node.init, node.body]);
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                return this.collectVarDeclarations([node.left, node.body]);
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+            case 'LabeledStatement':
+            case 'WithStatement':
+                return this.collectVarDeclarations(node.body);
+            case 'SwitchStatement':
+                return this.collectVarDeclarations(node.cases.flatMap(switchCase => switchCase.consequent));
+            case 'TryStatement':
+                return this.collectVarDeclarations([node.block, node.handler?.body, node.finalizer]);
+            default:
+                return [];
+        }
+    }
+
+    bindingKind(info) {
+        return info.kind || info.type;
+    }
+
+    // Redeclaration rules for two declarations of a name in the same scope: `var`,
+    // parameters and functions may repeat in a var scope; let/const/class/import
+    // never. Module-level functions are lexical, block-level ones only repeat in
+    // sloppy mode.
+    canRedeclare(existing, info, scope) {
+        const kinds = [this.bindingKind(existing), this.bindingKind(info)];
+        if (kinds.some(kind => SemanticAnalyzer.LEXICAL_KINDS.has(kind))) return false;
+        if (scope.scopeType === 'module' && kinds.includes('function')) return false;
+        if (!scope.isVarScope) return kinds.every(kind => kind === 'function') && !this.strict;
+        return true;
+    }
+
+    // Binds `id` in `scope` unless the redeclaration rules forbid it; returns the symbol
+    bindName(id, info, scope = this.currentScope) {
+        const existing = scope.symbols.get(id.name);
+        if (!existing) {
+            scope.define(id.name, info);
+            return info;
+        }
+
+        if (!this.canRedeclare(existing, info, scope)) {
+            this.report('no-redeclare', `Identifier '${id.name}' has already been declared`, id);
+            return null;
+        }
+        return existing;
+    }
+
+    // Parameter of the function or catch clause whose body is the current scope
+    isBodyParameter(name) {
+        const scope = this.currentScope;
+        return !!scope.bodyOf && scope.parent.symbols.get(name)?.type === 'parameter';
+    }
+
+    hoistVar(id) {
+        // `function f(a) { var a; }` declares the parameter again, not a new binding
+        if (this.currentScope.bodyOf === 'function' && this.isBodyParameter(id.name)) return;
+
+        this.bindName(id, {
+            type: 'variable',
+            kind: 'var',
+            initialized: false,
+            used: false,
+            declared: false,
+            ...this.getDeclarationPosition(id)
+        });
+    }
+
+    hoistLexicalBinding(id, type, kind) {
+        this.hoistedIds.add(id);
+
+        if (this.isBodyParameter(id.name)) {
+            this.report('no-redeclare', `Identifier '${id.name}' has already been declared`, id);
+            return;
+        }
+
+        this.bindName(id, {
+            type,
+            kind,
+            initialized: false,
+            used: false,
+            declared: false,
+            ...this.getDeclarationPosition(id)
+        });
+    }
+
+    hoistFunctionDeclaration(node) {
+        if (!node.id?.name) return;
+        this.checkStrictBinding(node.id);
+
+        const scope = this.currentScope;
+        const info = {
+            type: 'function',
+            initialized: true,
+            used: false,
+            arity: this.getFunctionArity(node),
+            functionNode: node,
+            ...this.getDeclarationPosition(node.id),
+            hoisted: true
+        };
+
+        // A function in a catch block is lexical and clashes with the catch parameter
+        if (scope.bodyOf === 'catch' && this.isBodyParameter(node.id.name)) {
+            this.report('no-redeclare', `Identifier '${node.id.name}' has already been declared`, node.id);
+            return;
+        }
+
+        const existing = scope.symbols.get(node.id.name);
+        if (existing && !this.canRedeclare(existing, info, scope)) {
+            this.report('no-redeclare', `Identifier '${node.id.name}' has already been declared`, node.id);
+            return;
+        }
+
+        // The last declaration of a name provides its value
+        scope.symbols.set(node.id.name, { ...info, used: existing?.used || false });
+    }
+
+    // A nested function runs later, possibly after the declaration was evaluated:
+    // its references are not in the temporal dead zone
+    isDeferredReference(declaringScope) {
+        for (let scope = this.currentScope; scope && scope !== declaringScope; scope = scope.parent) {
+            if (scope.scopeType === 'function') return true;
+        }
+        return false;
+    }
+
+    // Records what `id` refers to for the data-flow analysis. Symbols used from a
+    // nested function or class body are captured: the body's own flow does not say
+    // when those reads and writes happen.
+    recordReference(id, declaringScope, symbol, isWrite = false) {
+        // Writes after the declaration: the type inference follows these through the flow
+        symbol.reassigned ||= isWrite;
+        for (let scope = this.currentScope; scope && scope !== declaringScope; scope = scope.parent) {
+            if (scope.scopeType === 'function' || scope.scopeType === 'class') {
+                symbol.captured = true;
+                symbol.capturedWrite ||= isWrite;
+                break;
+            }
+        }
+        this.references.set(id, symbol);
+    }
+
     analyzeVariableDeclaration(node) {
         node.declarations.forEach(declarator => {
-            if (declarator.id && declarator.id.name) {
-                const varInfo = {
-                    type: node.kind === 'const' ? 'const' : 'variable',
-                    kind: node.kind,
-                    initialized: !!declarator.init,
-                    used: false,
-                    line: declarator.line || 0,
-                    column: declarator.column || 0
-                };
+            if (!declarator.id) return;
 
-                // Check for const without initializer
-                if (node.kind === 'const' && !declarator.init) {
-                    this.addError(`Missing initializer in const declaration '${declarator.id.name}'`, declarator);
+            // Destructuring: evaluate the value first, then bind every name in the pattern
+            if (declarator.id.type !== 'Identifier') {
+                if (declarator.init) {
+                    this.analyzeNode(declarator.init);
                 }
+                this.declarePattern(declarator.id, id => this.declareVariable(id, node.kind, !!declarator.init));
+                return;
+            }
 
-                const error = this.currentScope.define(declarator.id.name, varInfo);
-                if (error) {
-                    // Check if it's a redeclaration with different kind
-                    const existing = this.currentScope.lookup(declarator.id.name);
-                    if (existing && existing.kind !== node.kind) {
-                        this.addError(`Identifier '${declarator.id.name}' has already been declared with different kind`, declarator);
-                    } else {
-                        this.addError(error.error, declarator);
-                    }
+            // Check for const without initializer
+            if (node.kind === 'const' && !declarator.init) {
+                this.report('const-requires-init', `Missing initializer in const declaration '${declarator.id.name}'`, declarator);
+            }
+
+            // `const f = () => ...` gives the variable a known arity; a let or var
+            // may hold another function by the time it is called
+            const extra = this.isFunctionNode(declarator.init)
+                ? {
+                    ...(node.kind === 'const' ? { arity: this.getFunctionArity(declarator.init), functionNode: declarator.init } : {}),
+                    arrow: declarator.init.type === 'ArrowFunctionExpression'
                 }
+                : {};
+
+            // A const keeps the type of its initializer everywhere, closures included
+            if (node.kind === 'const') {
+                extra.initializer = declarator.init;
+            }
 
-                // Analyze initializer
+            // `let x = x` reads x in its temporal dead zone: the initializer runs
+            // before the binding exists. Functions are bound first so their arity is known.
+            if (this.isFunctionNode(declarator.init)) {
+                this.declareVariable(declarator.id, node.kind, true, extra);
+                this.analyzeFunctionExpression(declarator.init, declarator.id.name);
+            } else {
                 if (declarator.init) {
                     this.analyzeNode(declarator.init);
                 }
+                this.declareVariable(declarator.id, node.kind, !!declarator.init, extra);
             }
         });
     }
 
+    declareVariable(id, kind, initialized, extra = {}) {
+        this.checkStrictBinding(id);
+        if (kind === 'var') {
+            this.declareVar(id, initialized, extra);
+            return;
+        }
+
+        const varInfo = {
+            type: kind === 'const' ? 'const' : 'variable',
+            kind,
+            initialized,
+            used: false,
+            ...this.getDeclarationPosition(id),
+            ...extra
+        };
+
+        if (!this.hoistedIds.has(id)) {
+            // Loop heads are not hoisted: `for (let i = 0; ...)`
+            this.bindName(id, varInfo);
+        } else {
+            // The declaration is reached: the binding leaves the temporal dead zone.
+            // A duplicate declaration was already reported while hoisting.
+            const symbol = this.currentScope.symbols.get(id.name);
+            if (symbol?.node === id) {
+                Object.assign(symbol, varInfo, { used: symbol.used, declared: true });
+            }
+        }
+
+        const symbol = this.currentScope.symbols.get(id.name);
+        if (symbol?.node === id) {
+            this.references.set(id, symbol);
+        }
+    }
+
+    // The `var` was hoisted on entering its var scope; here it only meets the
+    // let/const/class names of the blocks in between and records its initializer
+    declareVar(id, initialized, extra) {
+        const varScope = this.currentScope.getVarScope();
+        for (let scope = this.currentScope; scope !== varScope; scope = scope.parent) {
+            const existing = scope.symbols.get(id.name);
+            // `catch (e) { var e; }` is allowed
+            if (existing && existing.type !== 'parameter') {
+                this.report('no-redeclare', `Identifier '${id.name}' has already been declared`, id);
+                break;
+            }
+        }
+
+        // The var itself, a function of the same name or the parameter it redeclares
+        const symbol = varScope.symbols.get(id.name) ||
+            (varScope.bodyOf === 'function' ? varScope.parent.symbols.get(id.name) : null);
+        if (!symbol) return;
+        this.references.set(id, symbol);
+
+        if (symbol.kind === 'var') {
+            symbol.declared = true;
+        }
+        if (initialized) {
+            Object.assign(symbol, extra, { initialized: true });
+        }
+    }
+
+    // Walks a binding or assignment pattern: analyzes default values and
+    // computed keys, and calls `bind` for every target identifier
+    declarePattern(pattern, bind) {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                bind(pattern);
+                break;
+            case 'AssignmentPattern':
+                this.analyzeNode(pattern.right);
+                this.declarePattern(pattern.left, bind);
+                break;
+            case 'RestElement':
+                this.declarePattern(pattern.argument, bind);
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => this.declarePattern(element, bind));
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.declarePattern(property, bind);
+                    } else {
+                        if (property.computed) {
+                            this.analyzeNode(property.key);
+                        }
+                        this.declarePattern(property.value, bind);
+                    }
+                });
+                break;
+            default:
+                // Member expressions as assignment targets: `({ a: obj.x } = src)`
+                this.analyzeNode(pattern);
+        }
+    }
+
     analyzeFunctionDeclaration(node) {
-        if (node.id && node.id.name) {
-            // Enter function scope
-            this.enterScope('function');
-            this.functionStack.push({
-                name: node.id.name,
-                hasReturn: false,
-                node: node
+        // A declaration whose name failed to parse still has a body worth checking
+        this.analyzeFunction(node, node.id?.name || null);
+    }
+
+    analyzeFunctionExpression(node, inferredName = null) {
+        this.analyzeFunction(node, node.id?.name || inferredName);
+        return { type: 'function' };
+    }
+
+    // Shared by declarations, function expressions, arrow functions and class
+    // methods; `context` adds method information (constructor, super() state)
+    analyzeFunction(node, name, context = {}) {
+        // Enter function scope; labels and loops outside are not reachable from inside
+        this.enterScope('function');
+        this.functionStack.push({
+            name,
+            hasAwait: false,
+            node: node,
+            ...context
+        });
+        const outerJumpTargets = this.jumpTargets;
+        this.jumpTargets = [];
+
+        const outerStrict = this.strict;
+        if (node.body?.type === 'BlockStatement' && this.hasUseStrictDirective(node.body.body)) {
+            this.strict = true;
+            if (!node.params.every(param => param.type === 'Identifier')) {
+                this.report('strict-mode', "Illegal 'use strict' directive in function with non-simple parameter list", node);
+            }
+        }
+
+        // A named function expression can refer to itself from its own body
+        if (node.type === 'FunctionExpression' && node.id) {
+            this.checkStrictBinding(node.id);
+            this.currentScope.define(node.id.name, {
+                type: 'function',
+                initialized: true,
+                used: true,
+                arity: this.getFunctionArity(node),
+                functionNode: node,
+                ...this.getDeclarationPosition(node.id)
             });
+        }
 
-            // Define parameters in function scope
-            if (node.params) {
-                node.params.forEach(param => {
-                    if (param.name) {
-                        this.currentScope.define(param.name, {
-                            type: 'parameter',
-                            initialized: true,
-                            used: false,
-                            line: param.line || 0,
-                            column: param.column || 0
-                        });
-                    }
+        // Define parameters in function scope. Only sloppy functions with a simple
+        // parameter list may repeat a name: `function f(a, a) {}`
+        if (node.params) {
+            const unique = this.strict || node.type === 'ArrowFunctionExpression' || !!context.isObjectMethod ||
+                !node.params.every(param => param.type === 'Identifier');
+            node.params.forEach(param => this.declareParameter(param, unique));
+            this.checkJSDocParams(node, name);
+        }
+
+        // Non-arrow functions bind `arguments` unless a parameter takes the name;
+        // arrow functions see the one of the enclosing function
+        let argumentsSymbol = null;
+        if (node.type !== 'ArrowFunctionExpression' && !this.currentScope.symbols.has('arguments')) {
+            this.currentScope.define('arguments', {
+                type: 'variable',
+                kind: 'arguments',
+                builtin: true,
+                initialized: true,
+                used: false,
+                line: 0,
+                column: 0
+            });
+            argumentsSymbol = this.currentScope.symbols.get('arguments');
+        }
+
+        // Analyze function body
+        if (node.body?.type === 'BlockStatement') {
+            this.analyzeBlockStatement(node.body, 'function');
+        } else if (node.body) {
+            this.analyzeNode(node.body);
+            this.bodies.push({ expression: node.body, fn: node });
+        }
+
+        if (argumentsSymbol?.used) {
+            this.argumentsReaders.add(node);
+        }
+
+        const currentFunction = this.functionStack.pop();
+        if (node.body?.type === 'BlockStatement') {
+            this.checkFunctionFlow(node, name, currentFunction);
+        }
+
+        if (node.async && !currentFunction.hasAwait) {
+            this.report('require-await', name
+                ? `Async function '${name}' has no 'await' expression`
+                : 'Async function has no \'await\' expression', node);
+        }
+
+        this.jumpTargets = outerJumpTargets;
+        this.strict = outerStrict;
+
+        this.exitScope();
+    }
+
+    // Control flow of a block-bodied function. Arrow functions with an expression
+    // body return it implicitly; generators produce values with `yield`.
+    checkFunctionFlow(node, name, currentFunction) {
+        const parameters = node.params.flatMap(param => this.getDeclaredIdentifiers(param));
+        const flow = this.buildControlFlow(node.body.body, parameters, node);
+
+        // A derived constructor that returns an object on every path needs no super()
+        const returnsObject = !flow.canCompleteNormally && flow.returns.length > 0 &&
+            flow.returns.every(ret => this.mayBeObject(ret.astNode.argument));
+        if (currentFunction.isDerivedConstructor && !currentFunction.superCalled && !returnsObject) {
+            this.report('constructor-super', 'Derived class constructor must call super()', node);
+        }
+
+        if (currentFunction.skipReturnCheck || node.generator) return;
+
+        // Functions that always throw or loop forever never need a return. Methods
+        // and function expressions often return nothing on purpose.
+        const returnsValue = flow.returns.some(ret => ret.hasValue);
+        if (flow.returns.length === 0 && flow.canCompleteNormally && name && node.type === 'FunctionDeclaration' &&
+            !this.ruleOptions('missing-return').ignore.includes(name)) {
+            this.report('missing-return', `Function '${name}' does not have a return statement`, node);
+        } else if (returnsValue && (flow.canCompleteNormally || flow.returns.some(ret => !ret.hasValue))) {
+            this.report('consistent-return', name
+                ? `Not all code paths of function '${name}' return a value`
+                : 'Not all code paths of the function return a value', node);
+        }
+    }
+
+    // Whether a returned expression can be an object: anything but a missing
+    // value, a primitive literal or `undefined`
+    mayBeObject(argument) {
+        if (!argument) return false;
+        if (argument.type === 'Literal') return !!argument.regex;
+        if (argument.type === 'TemplateLiteral') return false;
+        return !(argument.type === 'Identifier' && argument.name === 'undefined');
+    }
+
+    // Builds the control-flow graph of a body and reports what it and the
+    // definitions reaching each read find
+    buildControlFlow(statements, parameters = [], fn = null) {
+        const flow = buildControlFlowGraph(statements, { isAlwaysTruthy: test => this.isAlwaysTruthy(test) });
+        this.bodies.push({ flow, statements, fn });
+
+        flow.unreachable.forEach(stmt => this.report('no-unreachable', 'Unreachable code', stmt));
+        flow.fallthroughs.forEach(switchCase => {
+            this.report('no-fallthrough', "Switch case falls through from the previous case: add 'break' or 'return'", switchCase);
+        });
+        flow.infiniteLoops.forEach(loop => {
+            this.report('no-infinite-loop', 'Infinite loop: its condition is always true and no break, return or throw leaves it', loop);
+        });
+
+        this.checkDataFlow(flow, statements, parameters);
+        return flow;
+    }
+
+    // Only local variables and parameters whose every assignment is in this body are
+    // followed; exported bindings can be read by other modules at any time
+    checkDataFlow(flow, statements, parameters) {
+        const tracked = symbol => !!symbol && (symbol.type === 'variable' || symbol.type === 'parameter') &&
+            !symbol.exported && !symbol.capturedWrite;
+        const resolve = id => {
+            const symbol = this.references.get(id);
+            return tracked(symbol) ? symbol : null;
+        };
+
+        const entryValues = new Set(parameters.map(resolve).filter(Boolean));
+        const entryUninitialized = new Set(this.collectVarDeclarations(statements)
+            .map(resolve)
+            .filter(symbol => symbol && !entryValues.has(symbol)));
+
+        const { uninitializedReads, deadStores } = analyzeDataFlow(flow, {
+            resolve,
+            entryValues: [...entryValues],
+            entryUninitialized: [...entryUninitialized]
+        });
+
+        uninitializedReads.forEach(({ id, definitely }) => {
+            if (definitely) {
+                this.report('no-uninitialized-read', `Variable '${id.name}' is used before being initialized`, id);
+            } else {
+                this.report('no-maybe-uninitialized', `Variable '${id.name}' may be used before being initialized: it is not assigned on every path`, id);
+            }
+        });
+
+        // Variables never read at all are reported once, by checkUnusedVariables;
+        // a closure may read a captured variable later
+        deadStores
+            .filter(({ symbol }) => symbol.used && !symbol.captured && !symbol.accessedInTdz)
+            .forEach(({ id }) => this.report('no-dead-store', `The value assigned to '${id.name}' is never read`, id));
+    }
+
+    declareParameter(param, unique = false) {
+        // Defaults are evaluated before the parameter itself is bound
+        this.declarePattern(param, id => {
+            this.checkStrictBinding(id);
+            const error = this.currentScope.define(id.name, {
+                type: 'parameter',
+                initialized: true,
+                used: false,
+                ...this.getDeclarationPosition(id)
+            });
+            if (error && unique) {
+                this.report('no-redeclare', `Duplicate parameter name '${id.name}'`, id);
+            }
+            this.references.set(id, this.currentScope.symbols.get(id.name));
+        });
+    }
+
+    // Name a JSDoc @param uses for a parameter; null for destructuring patterns
+    getParameterName(param) {
+        if (param.type === 'AssignmentPattern') return this.getParameterName(param.left);
+        if (param.type === 'RestElement') return this.getParameterName(param.argument);
+        return param.type === 'Identifier' ? param.name : null;
+    }
+
+    // Every parameter needs its @param and every @param a parameter. Destructured
+    // parameters take the documented names left over, in order; `options.name`
+    // entries document properties of a parameter.
+    checkJSDocParams(node, name) {
+        const doc = this.functionDocs.get(node);
+        if (!doc || doc.params.length === 0) return;
+
+        const label = name ? `function '${name}'` : 'the function';
+        const names = node.params.map(param => this.getParameterName(param));
+        const documented = doc.params.filter(param => !param.name.includes('.'));
+
+        node.params.forEach((param, index) => {
+            if (names[index] && !documented.some(entry => entry.name === names[index])) {
+                this.report('jsdoc-require-param', `Missing JSDoc @param for parameter '${names[index]}' of ${label}`, param);
+            }
+        });
+
+        let patterns = names.filter(paramName => paramName === null).length;
+        documented
+            .filter(entry => !names.includes(entry.name))
+            .forEach(entry => {
+                if (patterns > 0) {
+                    patterns--;
+                    return;
+                }
+                this.report('jsdoc-check-param-names', `JSDoc @param '${entry.name}' does not match any parameter of ${label}`,
+                    { line: entry.line, column: entry.column });
+            });
+    }
+
+    // Required arguments stop at the first parameter with a default, the rest
+    // parameter or one the function's JSDoc marks optional (`@param [name]`)
+    getFunctionArity(fn) {
+        const params = fn.params || [];
+        const optionalNames = new Set((this.functionDocs.get(fn)?.params || [])
+            .filter(entry => entry.optional)
+            .map(entry => entry.name));
+        const firstOptional = params.findIndex(p => p.type === 'AssignmentPattern' || p.type === 'RestElement' ||
+            optionalNames.has(this.getParameterName(p)));
+        return {
+            minArgs: firstOptional === -1 ? params.length : firstOptional,
+            maxArgs: params.some(p => p.type === 'RestElement') ? Infinity : params.length
+        };
+    }
+
+    analyzeClassDeclaration(node) {
+        let binding = null;
+        if (node.id && node.id.name) {
+            // The class name is already part of the (strict) class code
+            this.checkStrictBinding(node.id, true);
+            const symbol = this.currentScope.symbols.get(node.id.name);
+            if (symbol?.node === node.id) {
+                binding = symbol;
+            } else if (!this.hoistedIds.has(node.id)) {
+                binding = this.bindName(node.id, {
+                    type: 'class',
+                    kind: 'class',
+                    initialized: false,
+                    used: false,
+                    declared: false,
+                    ...this.getDeclarationPosition(node.id)
                 });
             }
+        }
+
+        this.analyzeClass(node, binding);
+    }
+
+    analyzeClassExpression(node) {
+        this.analyzeClass(node);
+        return { type: 'function' };
+    }
+
+    // `binding` is the declared name: still in its temporal dead zone for the
+    // `extends` expression, initialized for the class body
+    analyzeClass(node, binding = null) {
+        if (node.superClass) {
+            this.analyzeNode(node.superClass);
+        }
+        if (binding) {
+            Object.assign(binding, { initialized: true, declared: true });
+        }
+
+        this.enterScope('class');
+        const outerStrict = this.strict;
+        this.strict = true;
+
+        // A class expression can refer to its own name from inside the body
+        if (node.type === 'ClassExpression' && node.id) {
+            this.checkStrictBinding(node.id);
+            this.currentScope.define(node.id.name, {
+                type: 'class',
+                initialized: true,
+                used: true,
+                ...this.getDeclarationPosition(node.id)
+            });
+        }
 
-            // Analyze function body
-            if (node.body) {
-                this.analyzeNode(node.body);
+        const members = node.body?.body || [];
+
+        // Private names are visible to the whole body, including members declared later
+        const privateNames = new Set(members
+            .filter(member => member.key?.type === 'PrivateIdentifier')
+            .map(member => member.key.name));
+
+        this.classStack.push({ name: node.id?.name || null, privateNames });
+        this.checkDuplicateClassMembers(node, members);
+        members.forEach(member => this.analyzeClassMember(member, node));
+        this.classStack.pop();
+
+        this.strict = outerStrict;
+        this.exitScope();
+    }
+
+    // Static name of a class member or object property; null for computed keys
+    getPropertyKeyName(member) {
+        if (!member.key || member.computed) return null;
+        if (member.key.type === 'PrivateIdentifier') return `#${member.key.name}`;
+        if (member.key.type === 'Identifier') return member.key.name;
+        return String(member.key.value);
+    }
+
+    checkDuplicateClassMembers(node, members) {
+        const className = node.id?.name ? ` '${node.id.name}'` : '';
+        const seen = new Map();
+        let hasConstructor = false;
+
+        members.forEach(member => {
+            if (member.type === 'MethodDefinition' && member.kind === 'constructor') {
+                if (hasConstructor) {
+                    this.report('duplicate-constructor', 'A class may only have one constructor', member.key);
+                }
+                hasConstructor = true;
+                return;
             }
 
-            // Check if function should return a value
-            const currentFunction = this.functionStack.pop();
-            if (!currentFunction.hasReturn && node.id.name !== 'main') {
-                this.addWarning(`Function '${node.id.name}' does not have a return statement`, node);
+            const keyName = this.getPropertyKeyName(member);
+            if (keyName === null) return;
+
+            const kind = member.type === 'PropertyDefinition' ? 'field' : member.kind;
+            const id = `${member.static ? 'static ' : ''}${keyName}`;
+            const previous = seen.get(id) || [];
+
+            // A getter and a setter with the same name form one accessor pair
+            const conflict = previous.some(other =>
+                !((other === 'get' && kind === 'set') || (other === 'set' && kind === 'get'))
+            );
+
+            if (conflict) {
+                if (member.key.type === 'PrivateIdentifier') {
+                    this.report('private-name', `Duplicate private name '${keyName}' in class${className}`, member.key);
+                } else if (member.type === 'MethodDefinition' && previous.includes(kind)) {
+                    this.report('no-dupe-class-members', `Duplicate method '${keyName}' in class${className}`, member.key);
+                } else {
+                    this.report('no-dupe-class-members', `Duplicate class member '${keyName}' in class${className}`, member.key);
+                }
             }
 
-            this.exitScope();
+            seen.set(id, [...previous, kind]);
+        });
+    }
+
+    analyzeClassMember(member, classNode) {
+        if (member.computed && member.key) {
+            this.analyzeNode(member.key);
+        }
+
+        const name = this.getPropertyKeyName(member);
+
+        switch (member.type) {
+            case 'MethodDefinition': {
+                const isConstructor = member.kind === 'constructor';
+                this.analyzeFunction(member.value, name, {
+                    isConstructor,
+                    isDerivedConstructor: isConstructor && !!classNode.superClass,
+                    superCalled: false,
+                    skipReturnCheck: member.kind !== 'method'
+                });
+                break;
+            }
+            case 'PropertyDefinition':
+                if (this.isFunctionNode(member.value)) {
+                    this.analyzeFunctionExpression(member.value, name);
+                } else if (member.value && !member.static) {
+                    // Instance field initializers run on construction, like a method body
+                    this.enterScope('function');
+                    this.analyzeNode(member.value);
+                    this.exitScope();
+                } else if (member.value) {
+                    this.analyzeNode(member.value);
+                }
+                break;
+            case 'StaticBlock': {
+                // Static blocks are a function boundary for break/continue and a var scope
+                const outerJumpTargets = this.jumpTargets;
+                this.jumpTargets = [];
+                this.enterScope('block');
+                this.currentScope.isVarScope = true;
+                this.hoistDeclarations(member.body);
+                member.body.forEach(stmt => this.analyzeNode(stmt));
+                this.buildControlFlow(member.body);
+                this.exitScope();
+                this.jumpTargets = outerJumpTargets;
+                break;
+            }
         }
     }
 
+    // Arrow functions have no own `this` or `super`; they see the enclosing function's
+    getThisFunction() {
+        for (let i = this.functionStack.length - 1; i >= 0; i--) {
+            if (this.functionStack[i].node.type !== 'ArrowFunctionExpression') {
+                return this.functionStack[i];
+            }
+        }
+        return null;
+    }
+
+    analyzeThisExpression(node) {
+        const currentFunction = this.getThisFunction();
+        if (currentFunction && currentFunction.isDerivedConstructor && !currentFunction.superCalled) {
+            this.report('no-this-before-super', "Must call super constructor before accessing 'this' in derived class constructor", node);
+        }
+        return { type: 'object' };
+    }
+
+    analyzeSuper(node) {
+        if (this.classStack.length === 0 && !this.getThisFunction()?.isObjectMethod) {
+            this.report('invalid-super', "'super' keyword unexpected here", node);
+        }
+    }
+
+    analyzeSuperCall(node) {
+        const currentFunction = this.getThisFunction();
+
+        if (!currentFunction || !currentFunction.isConstructor) {
+            this.report('invalid-super', "'super()' is only valid inside a class constructor", node.callee);
+        } else if (!currentFunction.isDerivedConstructor) {
+            this.report('invalid-super', "'super()' is only valid in the constructor of a class that extends another", node.callee);
+        }
+
+        node.arguments.forEach(arg => this.analyzeNode(arg));
+
+        if (currentFunction && currentFunction.isDerivedConstructor) {
+            currentFunction.superCalled = true;
+        }
+    }
+
+    isFunctionNode(node) {
+        return !!node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+    }
+
     analyzeIdentifier(node) {
         if (!node.name) return;
 
-        const symbol = this.currentScope.lookup(node.name);
-        if (!symbol) {
-            this.addError(`'${node.name}' is not defined`, node);
-            return { type: 'unknown' };
+        const symbol = this.resolveIdentifier(node);
+        return { type: symbol ? symbol.type : 'unknown' };
+    }
+
+    // Symbol read by an identifier, marked as used. Undeclared names and reads
+    // before the declaration are reported here and give null.
+    resolveIdentifier(node) {
+        this.checkStrictReference(node);
+
+        const scope = this.currentScope.lookupScope(node.name);
+        if (!scope) {
+            this.report('no-undef', `'${node.name}' is not defined`, node);
+            return null;
         }
 
-        // Mark as used
+        const symbol = scope.symbols.get(node.name);
         symbol.used = true;
 
-        // Check if variable is used before initialization
-        if (!symbol.initialized && symbol.type !== 'function' && !symbol.builtin) {
-            this.addError(`Variable '${node.name}' is used before being initialized`, node);
+        const deferred = this.isDeferredReference(scope);
+        if (symbol.declared === false && !deferred) {
+            if (symbol.kind === 'var') {
+                this.report('no-use-before-define', `'${node.name}' is used before its declaration: the hoisted var is still undefined`, node);
+            } else {
+                this.report('no-tdz-access', `Cannot access '${node.name}' before initialization`, node);
+                // The read throws, so what is stored later is not reported as unread
+                symbol.accessedInTdz = true;
+            }
+            return null;
         }
 
-        return { type: symbol.type };
+        // Reads of variables that may be unassigned are found by the data-flow analysis
+        this.recordReference(node, scope, symbol);
+        return symbol;
     }
 
     analyzeAssignmentExpression(node) {
         // Analyze right side first
-        const rightType = this.analyzeNode(node.right);
+        this.analyzeNode(node.right);
 
         // Check left side
         if (node.left) {
             if (node.left.type === 'Identifier') {
-                const symbol = this.currentScope.lookup(node.left.name);
-                if (!symbol) {
-                    this.addError(`Cannot assign to undeclared variable '${node.left.name}'`, node.left);
-                } else {
-                    // Check const assignment
-                    if (symbol.type === 'const' && symbol.initialized) {
-                        this.addError(`Cannot assign to const variable '${node.left.name}'`, node.left);
-                    }
-
-                    // Mark as initialized if it's a variable
-                    if (symbol.type === 'variable' || symbol.type === 'const') {
-                        symbol.initialized = true;
-                    }
-                }
+                this.assignIdentifier(node.left);
+            } else if (node.left.type === 'ArrayPattern' || node.left.type === 'ObjectPattern') {
+                // Destructuring assignment: every target behaves like a plain assignment
+                this.declarePattern(node.left, id => this.assignIdentifier(id));
             } else {
                 // Member expressions, etc.
                 this.analyzeNode(node.left);
             }
         }
 
-        // Type checking for specific operators
-        if (node.operator === '+=') {
-            // Both operands should be compatible for addition
-            this.checkArithmeticCompatibility(node.left, node.right, node);
-        } else if (['*=', '/=', '-=', '%='].includes(node.operator)) {
-            // Should be numeric
-            this.checkNumericOperation(node.left, node.right, node);
+        // Compound operators are checked like their binary operator
+        if (node.operator !== '=') {
+            this.typeChecks.push(node);
+        }
+    }
+
+    assignIdentifier(id) {
+        this.checkStrictReference(id);
+        if (this.strict && (id.name === 'eval' || id.name === 'arguments')) {
+            this.report('strict-mode', `Assigning to '${id.name}' in strict mode`, id);
+        }
+
+        const scope = this.currentScope.lookupScope(id.name);
+        if (!scope) {
+            this.report('no-undef', `Cannot assign to undeclared variable '${id.name}'`, id);
+            return;
+        }
+
+        const symbol = scope.symbols.get(id.name);
+        if (symbol.declared === false && symbol.kind !== 'var' && !this.isDeferredReference(scope)) {
+            this.report('no-tdz-access', `Cannot access '${id.name}' before initialization`, id);
+        }
+
+        // Check const assignment
+        if (symbol.type === 'const') {
+            this.report('no-const-assign', `Cannot assign to const variable '${id.name}'`, id);
+        } else if (symbol.type === 'import') {
+            this.report('no-import-assign', `Cannot assign to imported binding '${id.name}'`, id);
+        }
+
+        // Mark as initialized if it's a variable
+        if (symbol.type === 'variable' || symbol.type === 'const') {
+            symbol.initialized = true;
         }
+        symbol.assigned = true;
+        this.recordReference(id, scope, symbol, true);
     }
 
     analyzeCallExpression(node) {
-        // Analyze callee
+        if (node.callee && node.callee.type === 'Super') {
+            this.analyzeSuperCall(node);
+            return;
+        }
+
+        // Analyze callee; whether its value is callable is checked with the inferred types
         let calleeType = null;
         if (node.callee) {
             if (node.callee.type === 'Identifier') {
-                const symbol = this.currentScope.lookup(node.callee.name);
-                if (!symbol) {
-                    this.addError(`'${node.callee.name}' is not defined`, node.callee);
-                } else if (symbol.type !== 'function') {
-                    this.addWarning(`'${node.callee.name}' is not a function`, node.callee);
+                const symbol = this.resolveIdentifier(node.callee);
+                if (symbol?.type === 'class') {
+                    this.report('no-class-call', `Class constructor '${node.callee.name}' cannot be invoked without 'new'`, node.callee);
                 } else {
                     calleeType = symbol;
-                    symbol.used = true;
                 }
             } else {
                 this.analyzeNode(node.callee);
             }
         }
+        this.typeChecks.push(node);
 
-        // Analyze arguments
+        // Analyze arguments; their count is checked once every reassignment is known
         if (node.arguments) {
             node.arguments.forEach(arg => this.analyzeNode(arg));
+            this.argumentChecks.push({ node, calleeSymbol: calleeType });
+        }
+    }
 
-            // Check argument count for known functions
-            if (calleeType && calleeType.params) {
-                if (node.arguments.length !== calleeType.params.length) {
-                    this.addWarning(
-                        `Function '${node.callee.name}' expects ${calleeType.params.length} arguments, got ${node.arguments.length}`,
-                        node
-                    );
-                }
+    // Check argument count for known functions: a const or function binding never
+    // assigned again, whose body does not read `arguments`. A spread argument
+    // makes the count unknowable statically.
+    checkArgumentCount(node, calleeSymbol) {
+        const hasSpread = node.arguments.some(arg => arg.type === 'SpreadElement');
+        if (!calleeSymbol || !calleeSymbol.arity || calleeSymbol.reassigned || hasSpread ||
+            this.argumentsReaders.has(calleeSymbol.functionNode)) return;
+
+        const { minArgs, maxArgs } = calleeSymbol.arity;
+        const count = node.arguments.length;
+
+        if (count < minArgs || count > maxArgs) {
+            let expected = `${minArgs}`;
+            if (maxArgs === Infinity) {
+                expected = `at least ${minArgs}`;
+            } else if (maxArgs !== minArgs) {
+                expected = `${minArgs} to ${maxArgs}`;
+            }
+
+            this.report('argument-count',
+                `Function '${node.callee.name}' expects ${expected} arguments, got ${count}`,
+                node
+            );
+        }
+    }
+
+    analyzeNewExpression(node) {
+        let calleeSymbol = null;
+
+        if (node.callee && node.callee.type === 'Identifier') {
+            const symbol = this.resolveIdentifier(node.callee);
+
+            // Arrow functions have no [[Construct]]; other values are checked by type
+            if (symbol?.arrow) {
+                this.report('no-new-arrow', `'${node.callee.name}' is an arrow function and is not a constructor`, node.callee);
+            } else if (symbol?.type === 'function') {
+                calleeSymbol = symbol;
             }
+        } else if (node.callee) {
+            if (this.isFunctionNode(node.callee) && node.callee.type === 'ArrowFunctionExpression') {
+                this.report('no-new-arrow', 'Arrow functions are not constructors', node.callee);
+            }
+            this.analyzeNode(node.callee);
+        }
+
+        node.arguments.forEach(arg => this.analyzeNode(arg));
+        this.argumentChecks.push({ node, calleeSymbol });
+        this.typeChecks.push(node);
+
+        return { type: 'object' };
+    }
+
+    // `new.target` needs an enclosing non-arrow function; `import.meta` needs a module
+    analyzeMetaProperty(node) {
+        if (node.meta?.name === 'new') {
+            if (!this.getThisFunction()) {
+                this.report('invalid-meta-property', `'new.target' can only be used in functions`, node);
+            }
+        } else if (this.sourceType !== 'module') {
+            this.report('invalid-meta-property', `Cannot use 'import.meta' outside a module`, node);
+        }
+    }
+
+    checkPrivateName(name) {
+        if (!this.classStack.some(cls => cls.privateNames.has(name.name))) {
+            this.report('private-name', `Private field '#${name.name}' must be declared in an enclosing class`, name);
         }
     }
 
@@ -423,29 +1572,37 @@ class SemanticAnalyzer {
             this.analyzeNode(node.property);
         }
 
+        // `obj.#name` needs `#name` declared in an enclosing class body
+        if (node.property && node.property.type === 'PrivateIdentifier') {
+            this.checkPrivateName(node.property);
+        }
+
         // Check for common mistakes
         if (node.object && node.object.type === 'Identifier' && node.object.name === 'console') {
-            if (node.property && node.property.name && !['log', 'warn', 'error', 'info', 'debug'].includes(node.property.name)) {
-                this.addWarning(`Unknown console method: ${node.property.name}`, node);
+            const { methods } = this.ruleOptions('unknown-console-method');
+            if (node.property && node.property.name && !methods.includes(node.property.name)) {
+                this.report('unknown-console-method', `Unknown console method: ${node.property.name}`, node);
             }
         }
     }
 
     analyzeBinaryExpression(node) {
-        const leftType = this.analyzeNode(node.left);
-        const rightType = this.analyzeNode(node.right);
+        if (node.left?.type === 'PrivateIdentifier') {
+            // `#x in obj` needs `#x` declared in an enclosing class body
+            this.checkPrivateName(node.left);
+        } else {
+            this.analyzeNode(node.left);
+        }
+        this.analyzeNode(node.right);
 
-        // Type checking
-        if (['==', '===', '!=', '!=='].includes(node.operator)) {
-            if (node.operator === '==' || node.operator === '!=') {
-                this.addWarning(`Use '${node.operator}=' for strict comparison instead of '${node.operator}'`, node);
-            }
-        } else if (['+', '-', '*', '/', '%', '**'].includes(node.operator)) {
-            this.checkArithmeticCompatibility(node.left, node.right, node);
-        } else if (['<', '>', '<=', '>='].includes(node.operator)) {
-            // Comparison operators
-            this.checkComparisonCompatibility(node.left, node.right, node);
+        // `allowNull` accepts the `x == null` idiom
+        const nullCheck = [node.left, node.right].some(side => side?.type === 'Literal' && side.value === null && !side.regex);
+        if ((node.operator === '==' || node.operator === '!=') &&
+            !(nullCheck && this.ruleOptions('eqeqeq').allowNull)) {
+            this.report('eqeqeq', `Use '${node.operator}=' for strict comparison instead of '${node.operator}'`, node);
         }
+        // Operand types are checked once they are inferred (checkTypes)
+        this.typeChecks.push(node);
     }
 
     analyzeUnaryExpression(node) {
@@ -454,30 +1611,38 @@ class SemanticAnalyzer {
         if (node.operator === '!') {
             // Logical NOT - check for double negation
             if (node.argument && node.argument.type === 'UnaryExpression' && node.argument.operator === '!') {
-                this.addWarning('Double negation (!!), consider using Boolean() instead', node);
+                this.report('no-double-negation', 'Double negation (!!), consider using Boolean() instead', node);
             }
         } else if (node.operator === 'typeof') {
             // typeof is always safe
-        } else if (['+', '-'].includes(node.operator)) {
-            // Numeric unary operators
-            this.checkNumericOperation(node.argument, null, node);
+        } else if (['-', '~'].includes(node.operator)) {
+            // Numeric unary operators; unary `+` is the usual explicit conversion
+            this.typeChecks.push(node);
         } else if (node.operator === 'delete') {
             // Delete operator warnings
             if (node.argument && node.argument.type === 'Identifier') {
-                this.addWarning(`Delete of unqualified identifier '${node.argument.name}' in strict mode`, node);
+                if (this.strict) {
+                    this.report('strict-mode', `Delete of an unqualified identifier '${node.argument.name}' in strict mode`, node);
+                } else {
+                    this.report('no-delete-var', `Delete of unqualified identifier '${node.argument.name}' is an error in strict mode`, node);
+                }
             }
         }
     }
 
     analyzeUpdateExpression(node) {
         if (node.argument && node.argument.type === 'Identifier') {
-            const symbol = this.currentScope.lookup(node.argument.name);
+            const scope = this.currentScope.lookupScope(node.argument.name);
+            const symbol = scope?.symbols.get(node.argument.name);
             if (!symbol) {
-                this.addError(`Cannot update undeclared variable '${node.argument.name}'`, node.argument);
+                this.report('no-undef', `Cannot update undeclared variable '${node.argument.name}'`, node.argument);
             } else if (symbol.type === 'const') {
-                this.addError(`Cannot update const variable '${node.argument.name}'`, node.argument);
+                this.report('no-const-assign', `Cannot update const variable '${node.argument.name}'`, node.argument);
+            } else if (symbol.type === 'import') {
+                this.report('no-import-assign', `Cannot update imported binding '${node.argument.name}'`, node.argument);
             } else {
                 symbol.used = true;
+                this.recordReference(node.argument, scope, symbol, true);
             }
         } else if (node.argument) {
             this.analyzeNode(node.argument);
@@ -492,12 +1657,17 @@ class SemanticAnalyzer {
         if (node.operator === '&&') {
             // Check if left side is always falsy
             if (this.isAlwaysFalsy(node.left)) {
-                this.addWarning('Left side of && is always falsy, right side will never execute', node);
+                this.report('constant-condition', 'Left side of && is always falsy, right side will never execute', node);
             }
         } else if (node.operator === '||') {
             // Check if left side is always truthy
             if (this.isAlwaysTruthy(node.left)) {
-                this.addWarning('Left side of || is always truthy, right side will never execute', node);
+                this.report('constant-condition', 'Left side of || is always truthy, right side will never execute', node);
+            }
+        } else if (node.operator === '??') {
+            // Literals other than null are never nullish
+            if (node.left && node.left.type === 'Literal' && node.left.value !== null) {
+                this.report('constant-condition', 'Left side of ?? is never nullish, right side will never execute', node);
             }
         }
     }
@@ -509,15 +1679,19 @@ class SemanticAnalyzer {
 
         // Check for always true/false conditions
         if (this.isAlwaysTruthy(node.test)) {
-            this.addWarning('Condition is always truthy, alternate branch will never execute', node);
+            this.report('constant-condition', 'Condition is always truthy, alternate branch will never execute', node);
         } else if (this.isAlwaysFalsy(node.test)) {
-            this.addWarning('Condition is always falsy, consequent branch will never execute', node);
+            this.report('constant-condition', 'Condition is always falsy, consequent branch will never execute', node);
         }
     }
 
-    analyzeBlockStatement(node) {
+    // `bodyOf` is 'function' or 'catch' when the block is the body of one
+    analyzeBlockStatement(node, bodyOf = null) {
         this.enterScope('block');
+        this.currentScope.bodyOf = bodyOf;
+        this.currentScope.isVarScope = bodyOf === 'function';
         if (node.body) {
+            this.hoistDeclarations(node.body);
             node.body.forEach(stmt => this.analyzeNode(stmt));
         }
         this.exitScope();
@@ -535,9 +1709,9 @@ class SemanticAnalyzer {
 
             // Check for always true/false conditions
             if (this.isAlwaysTruthy(node.test)) {
-                this.addWarning('Condition is always truthy', node);
+                this.report('constant-condition', 'Condition is always truthy', node);
             } else if (this.isAlwaysFalsy(node.test)) {
-                this.addWarning('Condition is always falsy', node);
+                this.report('constant-condition', 'Condition is always falsy', node);
             }
         }
 
@@ -550,22 +1724,37 @@ class SemanticAnalyzer {
         }
     }
 
+    // Loops that can never exit are found on the control-flow graph
     analyzeWhileStatement(node) {
         if (node.test) {
             this.analyzeNode(node.test);
-
-            // Check for infinite loops
-            if (this.isAlwaysTruthy(node.test)) {
-                this.addWarning('Potential infinite loop: condition is always truthy', node);
-            }
         }
 
-        if (node.body) {
-            this.analyzeNode(node.body);
+        this.analyzeLoopBody(node.body);
+    }
+
+    analyzeDoWhileStatement(node) {
+        this.analyzeLoopBody(node.body);
+
+        if (node.test) {
+            this.analyzeNode(node.test);
         }
     }
 
+    analyzeLoopBody(body) {
+        if (!body) return;
+
+        this.jumpTargets.push({ kind: 'loop' });
+        this.analyzeNode(body);
+        this.jumpTargets.pop();
+    }
+
     analyzeForStatement(node) {
+        if (node.type !== 'ForStatement') {
+            this.analyzeForInOfStatement(node);
+            return;
+        }
+
         this.enterScope('block');
 
         if (node.init) {
@@ -575,8 +1764,8 @@ class SemanticAnalyzer {
         if (node.test) {
             this.analyzeNode(node.test);
 
-            if (this.isAlwaysFalsy(node.test)) {
-                this.addWarning('For loop condition is always falsy, loop will not execute', node);
+            if (this.ruleOptions('constant-condition').checkLoops && this.isAlwaysFalsy(node.test)) {
+                this.report('constant-condition', 'For loop condition is always falsy, loop will not execute', node);
             }
         }
 
@@ -584,18 +1773,185 @@ class SemanticAnalyzer {
             this.analyzeNode(node.update);
         }
 
-        if (node.body) {
-            this.analyzeNode(node.body);
+        this.analyzeLoopBody(node.body);
+
+        this.exitScope();
+    }
+
+    // for-in / for-of: the head declaration gets a fresh binding on every
+    // iteration, so it lives in its own scope and counts as initialized
+    analyzeForInOfStatement(node) {
+        // The iterated expression is evaluated once, before any binding exists
+        this.analyzeNode(node.right);
+
+        if (node.await) {
+            this.checkAwaitContext("'for await'", node);
+        }
+
+        // Iterating arrays with for-in or objects with for-of is checked by type
+        this.typeChecks.push(node);
+
+        this.enterScope('block');
+
+        if (node.left.type === 'VariableDeclaration') {
+            node.left.declarations.forEach(declarator => {
+                this.declarePattern(declarator.id, id => this.declareVariable(id, node.left.kind, true));
+            });
+        } else {
+            this.declarePattern(node.left, id => this.assignIdentifier(id));
         }
 
+        this.analyzeLoopBody(node.body);
         this.exitScope();
     }
 
-    analyzeReturnStatement(node) {
-        if (this.functionStack.length > 0) {
-            this.functionStack[this.functionStack.length - 1].hasReturn = true;
+    analyzeSwitchStatement(node) {
+        this.analyzeNode(node.discriminant);
+
+        // All cases share a single block scope
+        this.enterScope('block');
+        this.hoistDeclarations(node.cases.flatMap(switchCase => switchCase.consequent));
+        this.jumpTargets.push({ kind: 'switch' });
+
+        node.cases.forEach(switchCase => {
+            if (switchCase.test) {
+                this.analyzeNode(switchCase.test);
+            }
+            switchCase.consequent.forEach(stmt => this.analyzeNode(stmt));
+        });
+
+        this.jumpTargets.pop();
+        this.exitScope();
+    }
+
+    analyzeTryStatement(node) {
+        this.analyzeNode(node.block);
+
+        if (node.handler) {
+            this.enterScope('block');
+            // `catch ([e, e])` is an error even in sloppy code
+            this.declareParameter(node.handler.param, true);
+            this.analyzeBlockStatement(node.handler.body, 'catch');
+            this.exitScope();
+        }
+
+        if (node.finalizer) {
+            this.analyzeNode(node.finalizer);
+        }
+    }
+
+    analyzeWithStatement(node) {
+        if (this.strict) {
+            this.report('strict-mode', "'with' statements are not allowed in strict mode", node);
+        }
+
+        this.analyzeNode(node.object);
+        this.analyzeNode(node.body);
+    }
+
+    isLoopStatement(node) {
+        return !!node && ['WhileStatement', 'DoWhileStatement', 'ForStatement',
+            'ForInStatement', 'ForOfStatement'].includes(node.type);
+    }
+
+    findLabel(name) {
+        return this.jumpTargets.find(target => target.kind === 'label' && target.name === name) || null;
+    }
+
+    analyzeLabeledStatement(node) {
+        const name = node.label.name;
+        if (this.findLabel(name)) {
+            this.report('invalid-label', `Label '${name}' has already been declared`, node.label);
+        }
+
+        // `a: b: while (...)` - every label in the chain names the loop
+        let body = node.body;
+        while (body && body.type === 'LabeledStatement') {
+            body = body.body;
+        }
+
+        this.jumpTargets.push({ kind: 'label', name, isLoop: this.isLoopStatement(body) });
+        this.analyzeNode(node.body);
+        this.jumpTargets.pop();
+    }
+
+    analyzeBreakStatement(node) {
+        if (node.label) {
+            if (!this.findLabel(node.label.name)) {
+                this.report('invalid-label', `Undefined label '${node.label.name}'`, node.label);
+            }
+        } else if (!this.jumpTargets.some(target => target.kind === 'loop' || target.kind === 'switch')) {
+            this.report('illegal-jump', 'Illegal break statement: not inside a loop or switch', node);
+        }
+    }
+
+    analyzeContinueStatement(node) {
+        if (node.label) {
+            const target = this.findLabel(node.label.name);
+            if (!target) {
+                this.report('invalid-label', `Undefined label '${node.label.name}'`, node.label);
+            } else if (!target.isLoop) {
+                this.report('illegal-jump', `Illegal continue statement: '${node.label.name}' does not denote an iteration statement`, node.label);
+            }
+        } else if (!this.jumpTargets.some(target => target.kind === 'loop')) {
+            this.report('illegal-jump', 'Illegal continue statement: not inside a loop', node);
+        }
+    }
+
+    // `await` belongs to the innermost function, arrows included; at the top
+    // level it is only allowed in modules
+    hasUseStrictDirective(statements = []) {
+        return statements.some(stmt => stmt.directive === 'use strict');
+    }
+
+    // Names that sloppy code may bind but strict code may not
+    checkStrictBinding(id, strict = this.strict) {
+        if (!strict || !id?.name) return;
+
+        if (id.name === 'eval' || id.name === 'arguments') {
+            this.report('strict-mode', `Binding '${id.name}' in strict mode`, id);
         } else {
-            this.addError('Return statement outside of function', node);
+            this.checkStrictReference(id, strict);
+        }
+    }
+
+    checkStrictReference(id, strict = this.strict) {
+        if (strict && SemanticAnalyzer.STRICT_RESERVED_WORDS.has(id.name)) {
+            this.report('strict-mode', `Unexpected strict mode reserved word '${id.name}'`, id);
+        } else if (this.sourceType === 'module' && id.name === 'await') {
+            this.report('strict-mode', "'await' is a reserved word in modules", id);
+        }
+    }
+
+    checkAwaitContext(what, node) {
+        const currentFunction = this.functionStack[this.functionStack.length - 1];
+        if (currentFunction) {
+            currentFunction.hasAwait = true;
+            if (!currentFunction.node.async) {
+                this.report('invalid-await', `${what} is only valid in async functions and the top level of modules`, node);
+            }
+        } else if (this.sourceType !== 'module') {
+            this.report('invalid-await', `${what} is only valid in async functions and the top level of modules`, node);
+        }
+    }
+
+    analyzeAwaitExpression(node) {
+        this.checkAwaitContext("'await'", node);
+        this.analyzeNode(node.argument);
+    }
+
+    analyzeYieldExpression(node) {
+        const currentFunction = this.functionStack[this.functionStack.length - 1];
+        if (!currentFunction || !currentFunction.node.generator) {
+            this.report('invalid-yield', `'${node.delegate ? 'yield*' : 'yield'}' is only valid inside generator functions`, node);
+        }
+
+        this.analyzeNode(node.argument);
+    }
+
+    analyzeReturnStatement(node) {
+        if (this.functionStack.length === 0) {
+            this.report('invalid-return', 'Return statement outside of function', node);
         }
 
         if (node.argument) {
@@ -614,66 +1970,394 @@ class SemanticAnalyzer {
     }
 
     analyzeObjectExpression(node) {
-        const keys = new Set();
-
-        if (node.properties) {
-            node.properties.forEach(property => {
-                if (property.key) {
-                    let keyName = null;
-                    if (property.key.type === 'Identifier') {
-                        keyName = property.key.name;
-                    } else if (property.key.type === 'Literal') {
-                        keyName = property.key.value;
-                    }
+        // Keys compare as property names: `1`, `1.0` and `'1'` are the same key,
+        // and a getter and a setter with the same name form one accessor pair
+        const seen = new Map();
+        let hasProto = false;
+
+        node.properties.forEach(property => {
+            if (property.type === 'SpreadElement') {
+                this.analyzeNode(property.argument);
+                return;
+            }
 
-                    if (keyName !== null) {
-                        if (keys.has(keyName)) {
-                            this.addWarning(`Duplicate key '${keyName}' in object literal`, property);
-                        }
-                        keys.add(keyName);
-                    }
-                }
+            if (property.computed) {
+                this.analyzeNode(property.key);
+            }
 
-                if (property.value) {
-                    this.analyzeNode(property.value);
+            const keyName = this.getPropertyKeyName(property);
+            if (keyName !== null) {
+                const previous = seen.get(keyName) || [];
+                const conflict = previous.some(other =>
+                    !((other === 'get' && property.kind === 'set') || (other === 'set' && property.kind === 'get'))
+                );
+
+                // `__proto__: value` sets the prototype, and only once
+                const isProto = keyName === '__proto__' && property.kind === 'init' && !property.method && !property.shorthand;
+                if (isProto && hasProto) {
+                    this.report('duplicate-proto', "Duplicate '__proto__' fields are not allowed in object literals", property.key);
+                } else if (conflict) {
+                    this.report('no-dupe-keys', `Duplicate key '${keyName}' in object literal`, property.key);
                 }
-            });
-        }
+                hasProto = hasProto || isProto;
+                seen.set(keyName, [...previous, property.kind]);
+            }
+
+            if (property.method || property.kind !== 'init') {
+                // Methods may use `super`; setters return nothing
+                this.analyzeFunction(property.value, keyName, {
+                    isObjectMethod: true,
+                    skipReturnCheck: property.kind === 'set'
+                });
+            } else if (this.isFunctionNode(property.value)) {
+                this.analyzeFunctionExpression(property.value, keyName);
+            } else if (property.value?.type === 'AssignmentPattern') {
+                // `{ a = 1 }` outside a pattern, already a syntax error
+                this.analyzeNode(property.value.right);
+            } else {
+                this.analyzeNode(property.value);
+            }
+        });
     }
 
     analyzeLiteral(node) {
+        // Regex literals keep a null `value` when the pattern is invalid
+        if (node.regex) {
+            return { type: 'regexp' };
+        }
+
+        if (this.strict && typeof node.raw === 'string') {
+            if (/^0\d/.test(node.raw)) {
+                this.report('strict-mode', /[89]/.test(node.raw)
+                    ? `Decimals with leading zeros are not allowed in strict mode: '${node.raw}'`
+                    : `Legacy octal literals are not allowed in strict mode: '${node.raw}' (use '0o${node.raw.slice(1)}')`, node);
+            } else if (typeof node.value === 'string' && /(^|[^\\])(\\\\)*\\([1-9]|0\d)/.test(node.raw)) {
+                this.report('strict-mode', 'Octal escape sequences are not allowed in strict mode', node);
+            }
+        }
         return { type: typeof node.value };
     }
 
     analyzeTemplateLiteral(node) {
+        // Each `${...}` is an ordinary expression evaluated in the current scope
+        node.expressions?.forEach(expression => this.analyzeNode(expression));
         return { type: 'string' };
     }
 
-    // Helper methods
-    checkArithmeticCompatibility(left, right, node) {
-        // This is a simplified check - in a real analyzer, you'd have more sophisticated type inference
-        if (left && left.type === 'Literal' && typeof left.value === 'string' &&
-            right && right.type === 'Literal' && typeof right.value === 'number') {
-            this.addWarning('Adding string and number might produce unexpected results', node);
+    // Symbols whose type is followed through a body: local variables, constants
+    // and parameters that no closure or other module can change
+    isTypeTracked(symbol) {
+        return !!symbol && ['variable', 'const', 'parameter'].includes(symbol.type) &&
+            !symbol.exported && !symbol.capturedWrite;
+    }
+
+    // Type of an identifier that is not followed through the flow
+    typeOfIdentifier(id) {
+        const symbol = this.references.get(id);
+        if (!symbol) return null;
+
+        if (symbol.type === 'function') {
+            return new Set([symbol.functionNode || symbol]);
+        }
+        if (symbol.type === 'class') {
+            return new Set(['class']);
+        }
+        if (symbol.type === 'const' && symbol.initializer) {
+            return this.expressionTypes.get(symbol.initializer) || null;
+        }
+        if (symbol.builtin && ['object', 'number', 'undefined'].includes(symbol.type)) {
+            return new Set([symbol.type]);
+        }
+        return null;
+    }
+
+    // Builtins and @returns declare what a function returns; async functions and
+    // generators return objects
+    returnTypeOf(fn) {
+        if (fn.builtin) {
+            return fn.returns ? new Set([fn.returns]) : null;
+        }
+        if (fn.async || fn.generator) {
+            return new Set(['object']);
+        }
+        return this.functionDocs.get(fn)?.returns?.type || this.returnTypes.get(fn) || null;
+    }
+
+    getTypeOptions(body = null) {
+        const options = {
+            resolve: id => {
+                const symbol = this.references.get(id);
+                return this.isTypeTracked(symbol) ? symbol : null;
+            },
+            // Parameters and hoisted `var`s start with a value of their own
+            writtenOnce: symbol => !symbol.reassigned && symbol.type !== 'parameter' && symbol.kind !== 'var',
+            typeOfIdentifier: id => this.typeOfIdentifier(id),
+            returnTypeOf: fn => this.returnTypeOf(fn)
+        };
+
+        // Hoisted `var`s hold undefined until they are assigned
+        options.entryTypes = [];
+        if (body?.statements) {
+            options.entryTypes = this.collectVarDeclarations(body.statements)
+                .map(options.resolve)
+                .filter(symbol => symbol?.kind === 'var')
+                .map(symbol => [symbol, new Set(['undefined'])]);
+        }
+
+        // Parameters have the types their @param declares
+        const doc = body?.fn && this.functionDocs.get(body.fn);
+        doc && body.fn.params.forEach(param => {
+            const id = param.type === 'AssignmentPattern' || param.type === 'RestElement'
+                ? (param.left || param.argument)
+                : param;
+            const declared = doc.params.find(entry => entry.name === this.getParameterName(param));
+            const symbol = id.type === 'Identifier' ? options.resolve(id) : null;
+            if (!declared?.type || !symbol) return;
+
+            let type = declared.type;
+            if (param.type === 'RestElement') {
+                type = new Set(['array']);
+            } else if (declared.optional && param.type !== 'AssignmentPattern') {
+                type = unionTypes(type, new Set(['undefined']));
+            }
+            options.entryTypes.push([symbol, type]);
+        });
+        return options;
+    }
+
+    // Union of the returned values; falling off the end returns undefined
+    getReturnType(body, types) {
+        if (body.expression) {
+            return types.get(body.expression) || null;
+        }
+
+        let type = new Set(body.flow.canCompleteNormally ? ['undefined'] : []);
+        body.flow.returns.forEach(ret => {
+            const argument = ret.astNode.argument;
+            type = unionTypes(type, argument ? types.get(argument) || null : new Set(['undefined']));
+        });
+        return type;
+    }
+
+    // A caller may come before the function it calls: passes repeat until the
+    // types settle (recursion can keep them moving, so the passes are capped)
+    inferProgramTypes() {
+        const maxPasses = 5;
+        let changed = true;
+        for (let pass = 0; changed && pass < maxPasses; pass++) {
+            changed = false;
+            this.bodies.forEach(body => {
+                const types = body.flow
+                    ? inferTypes(body.flow, this.getTypeOptions(body)).types
+                    : inferExpressionTypes(body.expression, this.getTypeOptions(body));
+
+                types.forEach((type, node) => {
+                    if (!this.expressionTypes.has(node) || !sameType(type, this.expressionTypes.get(node))) {
+                        changed = true;
+                    }
+                    this.expressionTypes.set(node, type);
+                });
+                if (body.fn) {
+                    this.returnTypes.set(body.fn, this.getReturnType(body, types));
+                }
+            });
+        }
+    }
+
+    // Inferred type of an expression; code outside any analyzed flow (default
+    // values, class fields, unreachable code) is typed on its own
+    getExpressionType(node) {
+        if (!this.expressionTypes.has(node)) {
+            inferExpressionTypes(node, this.getTypeOptions())
+                .forEach((type, expression) => this.expressionTypes.set(expression, type));
+        }
+        return this.expressionTypes.get(node);
+    }
+
+    checkTypes() {
+        this.typeChecks.forEach(node => {
+            switch (node.type) {
+                case 'BinaryExpression':
+                case 'AssignmentExpression': {
+                    const operator = node.type === 'AssignmentExpression' ? node.operator.slice(0, -1) : node.operator;
+                    this.checkOperatorTypes(operator, node.left, node.right, node);
+                    break;
+                }
+                case 'UnaryExpression':
+                    this.checkNumericOperation(this.getExpressionType(node.argument), null, node);
+                    break;
+                case 'CallExpression':
+                    this.checkCallable(node.callee, 'function', node);
+                    this.checkJSDocArguments(node);
+                    break;
+                case 'NewExpression':
+                    this.checkCallable(node.callee, 'constructor', node);
+                    break;
+                case 'ForInStatement':
+                case 'ForOfStatement': {
+                    const iterated = this.getExpressionType(node.right);
+                    if (node.type === 'ForInStatement' && isOnly(iterated, 'array')) {
+                        this.report('iteration-type', 'for-in over an array iterates its indices as strings, use for-of instead', node.right);
+                    } else if (node.type === 'ForOfStatement' && isOnly(iterated, 'object')) {
+                        this.report('iteration-type', 'for-of over a plain object: objects are not iterable, use Object.keys/values/entries', node.right);
+                    }
+                    break;
+                }
+            }
+        });
+
+        this.bodies.forEach(body => this.checkJSDocReturns(body));
+    }
+
+    // Whether every kind of `type` is one a JSDoc type admits
+    matchesDeclaredType(type, accepts) {
+        return [...typeKinds(type)].every(kind => accepts.has(kind));
+    }
+
+    // Arguments of a call to a documented function against its @param types
+    checkJSDocArguments(node) {
+        const callee = this.getExpressionType(node.callee);
+        if (!isKnownType(callee) || callee.size !== 1) return;
+
+        const [fn] = callee;
+        const doc = typeof fn === 'object' ? this.functionDocs.get(fn) : null;
+        // After a spread argument the positions are unknown
+        if (!doc || node.arguments.some(arg => arg.type === 'SpreadElement')) return;
+
+        const calleeName = node.callee.type === 'Identifier'
+            ? node.callee.name
+            : node.callee.property?.name || fn.id?.name || 'function';
+
+        fn.params.forEach((param, index) => {
+            const name = this.getParameterName(param);
+            const declared = name && doc.params.find(entry => entry.name === name);
+            if (!declared?.accepts) return;
+
+            // A missing argument is undefined, which optional parameters and defaults admit
+            const accepts = declared.optional || param.type === 'AssignmentPattern'
+                ? new Set([...declared.accepts, 'undefined'])
+                : declared.accepts;
+            const args = param.type === 'RestElement' ? node.arguments.slice(index) : [node.arguments[index]];
+            args.forEach((arg, offset) => {
+                const argType = arg && this.getExpressionType(arg);
+                if (!isKnownType(argType) || this.matchesDeclaredType(argType, accepts)) return;
+
+                this.report('jsdoc-check-types', `Argument ${index + offset + 1} of '${calleeName}' has type ${describeType(argType)}, ` +
+                    `but @param '${name}' expects {${declared.typeText}}`, arg);
+            });
+        });
+    }
+
+    // Returned values against the type the function's @returns declares
+    checkJSDocReturns(body) {
+        const declared = body.fn && this.functionDocs.get(body.fn)?.returns;
+        if (!declared?.accepts || body.fn.async || body.fn.generator) return;
+
+        const returned = body.expression
+            ? [body.expression]
+            : body.flow.returns.map(ret => ret.astNode.argument).filter(Boolean);
+        returned.forEach(expression => {
+            const type = this.getExpressionType(expression);
+            if (isKnownType(type) && !this.matchesDeclaredType(type, declared.accepts)) {
+                this.report('jsdoc-check-types', `Returned value has type ${describeType(type)}, but @returns declares {${declared.typeText}}`, expression);
+            }
+        });
+    }
+
+    checkOperatorTypes(operator, left, right, node) {
+        // `&&=`, `||=`, `??=` only choose between values
+        if (['&&', '||', '??'].includes(operator)) return;
+
+        const leftType = this.getExpressionType(left);
+        const rightType = this.getExpressionType(right);
+
+        if (['+', '-', '*', '/', '%', '**'].includes(operator)) {
+            this.checkArithmeticCompatibility(leftType, rightType, node, operator);
+        } else if (['&', '|', '^', '<<', '>>', '>>>'].includes(operator)) {
+            // Bitwise operators convert both operands to 32-bit integers
+            this.checkNumericOperation(leftType, rightType, node);
+        } else if (['<', '>', '<=', '>='].includes(operator)) {
+            this.checkComparisonCompatibility(leftType, rightType, node);
+        } else if (operator === '===' || operator === '!==') {
+            this.checkStrictEquality(leftType, rightType, node, operator);
+        } else if (operator === 'in' && isOnly(rightType, ...SemanticAnalyzer.PRIMITIVE_KINDS)) {
+            this.report('invalid-operand', `Cannot use 'in' operator to search in a primitive value`, right);
+        } else if (operator === 'instanceof' && isKnownType(rightType) && !this.isCallableType(rightType)) {
+            this.report('invalid-operand', `Right-hand side of 'instanceof' is not callable`, right);
         }
     }
 
-    checkNumericOperation(left, right, node) {
-        // Check if operands are likely to be numeric
-        if (left && left.type === 'Literal' && typeof left.value === 'string') {
-            this.addWarning('Numeric operation on string value', node);
+    isCallableType(type) {
+        return [...typeKinds(type)].some(kind => kind === 'function' || kind === 'class');
+    }
+
+    // Calling or constructing a value known not to be a function
+    checkCallable(callee, role, node) {
+        if (!callee || callee.type === 'Super') return;
+
+        const type = this.getExpressionType(callee);
+        if (!isKnownType(type) || this.isCallableType(type)) return;
+
+        this.report('not-callable', callee.type === 'Identifier'
+            ? `'${callee.name}' is not a ${role}`
+            : `Value of type ${describeType(type)} is not a ${role}`, node.callee);
+    }
+
+    checkArithmeticCompatibility(leftType, rightType, node, operator) {
+        // '1' + 2 concatenates ('12') where an addition may have been meant
+        if (operator === '+' && ((isOnly(leftType, 'string') && isOnly(rightType, 'number')) ||
+            (isOnly(leftType, 'number') && isOnly(rightType, 'string')))) {
+            this.report('string-number-concat', 'Adding string and number might produce unexpected results', node);
+            return;
+        }
+
+        // A BigInt and a number in the same arithmetic operation throw a TypeError
+        if ((isOnly(leftType, 'bigint') && isOnly(rightType, 'number')) ||
+            (isOnly(leftType, 'number') && isOnly(rightType, 'bigint'))) {
+            this.report('no-mixed-bigint', 'Cannot mix BigInt and other types, use explicit conversions', node);
+            return;
+        }
+
+        if (operator !== '+') {
+            this.checkNumericOperation(leftType, rightType, node);
         }
-        if (right && right.type === 'Literal' && typeof right.value === 'string') {
-            this.addWarning('Numeric operation on string value', node);
+    }
+
+    // Operands known to hold strings, objects or functions are coerced to NaN or
+    // to an unexpected number
+    checkNumericOperation(leftType, rightType, node) {
+        [leftType, rightType].forEach(type => {
+            if (isOnly(type, ...SemanticAnalyzer.NON_NUMERIC_KINDS)) {
+                this.report('numeric-operand', `Numeric operation on ${describeType(type)} value`, node);
+            }
+        });
+    }
+
+    // Relational operators on unrelated kinds coerce both sides first
+    checkComparisonCompatibility(leftType, rightType, node) {
+        if (!isKnownType(leftType) || !isKnownType(rightType)) return;
+
+        // Dates compare by their timestamp
+        const numeric = kind => (kind === 'bigint' || kind === 'date' ? 'number' : kind);
+        const leftKinds = new Set([...typeKinds(leftType)].map(numeric));
+        if (![...typeKinds(rightType)].some(kind => leftKinds.has(numeric(kind)))) {
+            this.report('compare-types', 'Comparing different types might produce unexpected results', node);
         }
     }
 
-    checkComparisonCompatibility(left, right, node) {
-        // Check for potential type coercion issues
-        if (left && right &&
-            left.type === 'Literal' && right.type === 'Literal' &&
-            typeof left.value !== typeof right.value) {
-            this.addWarning('Comparing different types might produce unexpected results', node);
+    // `===` between values that can never have the same type is constant
+    checkStrictEquality(leftType, rightType, node, operator) {
+        if (!isKnownType(leftType) || !isKnownType(rightType)) return;
+
+        // Arrays, regexps, dates and instances are all objects; classes are functions
+        const typeofKind = member => {
+            const kind = kindOf(member);
+            if (kind === 'array' || kind === 'regexp' || kind === 'date') return 'object';
+            return kind === 'class' ? 'function' : kind;
+        };
+        const leftKinds = new Set([...leftType].map(typeofKind));
+        if (![...rightType].some(member => leftKinds.has(typeofKind(member)))) {
+            this.report('constant-comparison', `Comparison between ${describeType(leftType)} and ${describeType(rightType)} is always ${operator === '===' ? 'false' : 'true'}`, node);
         }
     }
 
@@ -706,13 +2390,20 @@ class SemanticAnalyzer {
     }
 
     checkUnusedVariables() {
+        const { args, ignorePattern } = this.ruleOptions('no-unused-vars');
+        const ignored = ignorePattern ? new RegExp(ignorePattern) : null;
+
         const checkScope = (scope) => {
             scope.symbols.forEach((info, name) => {
-                if (!info.used && !info.builtin && info.type !== 'function') {
-                    this.addWarning(`Variable '${name}' is declared but never used`, {
-                        line: info.line,
-                        column: info.column
-                    });
+                if (info.used || info.builtin || info.type === 'function' || info.type === 'class') return;
+                if ((info.type === 'parameter' && !args) || ignored?.test(name)) return;
+
+                if (info.type === 'import') {
+                    this.report('no-unused-vars', `'${name}' is imported but never used`, info.node);
+                } else if (info.assigned) {
+                    this.report('no-unused-vars', `Variable '${name}' is assigned a value but never read`, info.node);
+                } else {
+                    this.report('no-unused-vars', `Variable '${name}' is declared but never used`, info.node);
                 }
             });
 
@@ -728,27 +2419,25 @@ class SemanticAnalyzer {
         report += `Errores semánticos: ${this.errors.length}\n`;
         report += `Advertencias: ${this.warnings.length}\n\n`;
 
-        if (this.errors.length > 0) {
-            report += "ERRORES SEMÁNTICOS:\n";
-            this.errors.forEach((error, index) => {
-                report += `${index + 1}. [Línea ${error.line}, Columna ${error.column}] ${error.message}\n`;
-                if (error.node !== 'unknown') {
-                    report += `   Tipo de nodo: ${error.node}\n`;
-                }
+        // Each rule has one severity, so its diagnostics are all in one section
+        const reportByRule = (title, diagnostics) => {
+            if (diagnostics.length === 0) return;
+
+            report += `${title}:\n`;
+            groupByRule(diagnostics).forEach((group, ruleId) => {
+                report += `[${ruleId}] (${group.length})\n`;
+                group.forEach((diagnostic, index) => {
+                    report += `  ${index + 1}. [Línea ${diagnostic.line}, Columna ${diagnostic.column}] ${diagnostic.message}\n`;
+                    if (diagnostic.node !== 'unknown') {
+                        report += `     Tipo de nodo: ${diagnostic.node}\n`;
+                    }
+                });
             });
             report += "\n";
-        }
+        };
 
-        if (this.warnings.length > 0) {
-            report += "ADVERTENCIAS:\n";
-            this.warnings.forEach((warning, index) => {
-                report += `${index + 1}. [Línea ${warning.line}, Columna ${warning.column}] ${warning.message}\n`;
-                if (warning.node !== 'unknown') {
-                    report += `   Tipo de nodo: ${warning.node}\n`;
-                }
-            });
-            report += "\n";
-        }
+        reportByRule("ERRORES SEMÁNTICOS", this.errors);
+        reportByRule("ADVERTENCIAS", this.warnings);
 
         // Symbol table report
         report += "TABLA DE SÍMBOLOS:\n";
@@ -784,6 +2473,8 @@ class SemanticAnalyzer {
             variables: 0,
             constants: 0,
             functions: 0,
+            classes: 0,
+            imports: 0,
             parameters: 0,
             unused: 0
         };
@@ -801,6 +2492,12 @@ class SemanticAnalyzer {
                         case 'function':
                             stats.functions++;
                             break;
+                        case 'class':
+                            stats.classes++;
+                            break;
+                        case 'import':
+                            stats.imports++;
+                            break;
                         case 'parameter':
                             stats.parameters++;
                             break;
@@ -820,6 +2517,8 @@ class SemanticAnalyzer {
         report += `Variables: ${stats.variables}\n`;
         report += `Constantes: ${stats.constants}\n`;
         report += `Funciones: ${stats.functions}\n`;
+        report += `Clases: ${stats.classes}\n`;
+        report += `Importaciones: ${stats.imports}\n`;
         report += `Parámetros: ${stats.parameters}\n`;
         report += `Símbolos sin usar: ${stats.unused}\n`;
 
@@ -827,24 +2526,43 @@ class SemanticAnalyzer {
     }
 }
 
-// Main semantic analysis function
-export function analyzeSemantics(code) {
-    try {
-        // For this implementation, we'll need to parse the code first
-        // In a real scenario, you'd import your AST from the lexer-parser
+// Rule id -> its diagnostics, in the order each rule first reported
+function groupByRule(diagnostics) {
+    const groups = new Map();
+    diagnostics.forEach(diagnostic => {
+        if (!groups.has(diagnostic.ruleId)) {
+            groups.set(diagnostic.ruleId, []);
+        }
+        groups.get(diagnostic.ruleId).push(diagnostic);
+    });
+    return groups;
+}
 
-        // Simple AST extraction for demonstration
-        // This is a simplified approach - in production, you'd use the full AST from the parser
-        const analyzer = new SemanticAnalyzer();
+// Main semantic analysis function
+// Accepts either source code (parsed through the shared pipeline) or an AST
+// already produced by analyzeLexicalSyntactic / parseCode. `config.rules` tunes
+// the severity and options of the rules (see rules.js); an invalid configuration
+// throws before the analysis instead of showing up as a diagnostic.
+export function analyzeSemantics(source, config = {}) {
+    resolveRules(config.rules);
 
-        // Create a simple AST representation for testing
-        // In practice, this would come from your parser
-        const mockAST = createMockAST(code);
+    try {
+        const ast = typeof source === 'string' ? parseCode(source).ast : source;
+        const analyzer = new SemanticAnalyzer(config);
 
-        if (mockAST) {
-            analyzer.analyzeNode(mockAST);
+        if (!ast) {
+            return {
+                result: "=== ANÁLISIS SEMÁNTICO ===\n\nNo se pudo realizar el análisis semántico: no hay AST disponible.\n",
+                errorCount: 0,
+                warningCount: 0,
+                errors: [],
+                warnings: [],
+                byRule: {}
+            };
         }
 
+        analyzer.analyzeNode(ast);
+
         const report = analyzer.generateReport();
 
         return {
@@ -852,7 +2570,8 @@ export function analyzeSemantics(code) {
             errorCount: analyzer.errors.length,
             warningCount: analyzer.warnings.length,
             errors: analyzer.errors,
-            warnings: analyzer.warnings
+            warnings: analyzer.warnings,
+            byRule: Object.fromEntries(groupByRule([...analyzer.errors, ...analyzer.warnings]))
         };
 
     } catch (error) {
@@ -861,114 +2580,8 @@ export function analyzeSemantics(code) {
             errorCount: 1,
             warningCount: 0,
             errors: [{ message: error.message, line: 0, column: 0 }],
-            warnings: []
+            warnings: [],
+            byRule: {}
         };
     }
 }
-
-// Helper function to create a mock AST for testing
-// In a real implementation, this would be provided by your parser
-function createMockAST(code) {
-    try {
-        // This is a very simplified AST creation for demonstration
-        // In practice, you would use the AST from your lexer-parser
-
-        const lines = code.split('\n');
-        const statements = [];
-
-        lines.forEach((line, index) => {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('//')) return;
-
-            // Very basic pattern matching for common constructs
-            if (trimmed.match(/^(let|var|const)\s+(\w+)/)) {
-                const match = trimmed.match(/^(let|var|const)\s+(\w+)(?:\s*=\s*(.+?))?;?$/);
-                if (match) {
-                    statements.push({
-                        type: 'VariableDeclaration',
-                        kind: match[1],
-                        declarations: [{
-                            type: 'VariableDeclarator',
-                            id: { type: 'Identifier', name: match[2], line: index + 1, column: 0 },
-                            init: match[3] ? { type: 'Literal', value: match[3], line: index + 1, column: 0 } : null,
-                            line: index + 1,
-                            column: 0
-                        }],
-                        line: index + 1,
-                        column: 0
-                    });
-                }
-            } else if (trimmed.match(/^function\s+(\w+)/)) {
-                const match = trimmed.match(/^function\s+(\w+)\s*\(([^)]*)\)/);
-                if (match) {
-                    const params = match[2] ? match[2].split(',').map(p => ({
-                        type: 'Identifier',
-                        name: p.trim(),
-                        line: index + 1,
-                        column: 0
-                    })) : [];
-
-                    statements.push({
-                        type: 'FunctionDeclaration',
-                        id: { type: 'Identifier', name: match[1], line: index + 1, column: 0 },
-                        params: params,
-                        body: { type: 'BlockStatement', body: [], line: index + 1, column: 0 },
-                        line: index + 1,
-                        column: 0
-                    });
-                }
-            } else if (trimmed.includes('=') && !trimmed.startsWith('=')) {
-                const match = trimmed.match(/^(\w+)\s*=\s*(.+?);?$/);
-                if (match) {
-                    statements.push({
-                        type: 'ExpressionStatement',
-                        expression: {
-                            type: 'AssignmentExpression',
-                            operator: '=',
-                            left: { type: 'Identifier', name: match[1], line: index + 1, column: 0 },
-                            right: { type: 'Literal', value: match[2], line: index + 1, column: 0 },
-                            line: index + 1,
-                            column: 0
-                        },
-                        line: index + 1,
-                        column: 0
-                    });
-                }
-            } else if (trimmed.match(/^\w+\s*\(/)) {
-                const match = trimmed.match(/^(\w+)\s*\((.*?)\)/);
-                if (match) {
-                    const args = match[2] ? match[2].split(',').map(arg => ({
-                        type: 'Literal',
-                        value: arg.trim(),
-                        line: index + 1,
-                        column: 0
-                    })) : [];
-
-                    statements.push({
-                        type: 'ExpressionStatement',
-                        expression: {
-                            type: 'CallExpression',
-                            callee: { type: 'Identifier', name: match[1], line: index + 1, column: 0 },
-                            arguments: args,
-                            line: index + 1,
-                            column: 0
-                        },
-                        line: index + 1,
-                        column: 0
-                    });
-                }
-            }
-        });
-
-        return {
-            type: 'Program',
-            body: statements,
-            line: 1,
-            column: 0
-        };
-
-    } catch (error) {
-        console.error('Error creating mock AST:', error);
-        return null;
-    }
-}
\ No newline at end of file
@@ -0,0 +1,548 @@
+// type-inference.js
+// Inferencia de tipos sensible al flujo: propaga tipos primitivos, objetos, arrays
+// y funciones por variables, retornos y llamadas sobre el grafo de flujo de control
+
+// A type is a Set of kinds ('undefined', 'null', 'boolean', 'number', 'string',
+// 'bigint', 'symbol', 'object', 'array', 'regexp', 'date', 'class') and functions, or null
+// when nothing is known. A function is its AST node or builtin symbol, so a call
+// can look up what it returns.
+export function kindOf(member) {
+    return typeof member === 'string' ? member : 'function';
+}
+
+export function typeKinds(type) {
+    return type ? new Set([...type].map(kindOf)) : null;
+}
+
+// Known and not empty (a function that always throws returns the empty type)
+export function isKnownType(type) {
+    return !!type && type.size > 0;
+}
+
+// True when the value is known to be only of the given kinds
+export function isOnly(type, ...kinds) {
+    return isKnownType(type) && [...typeKinds(type)].every(kind => kinds.includes(kind));
+}
+
+export function describeType(type) {
+    return type ? [...typeKinds(type)].join(' | ') : 'unknown';
+}
+
+export function unionTypes(a, b) {
+    if (!a || !b) return null;
+    return new Set([...a, ...b]);
+}
+
+export function sameType(a, b) {
+    if (!a || !b) return a === b;
+    return a.size === b.size && [...a].every(member => b.has(member));
+}
+
+const type = (...kinds) => new Set(kinds);
+
+// Results of common methods, by the kind of the receiver
+const METHOD_RESULTS = {
+    string: {
+        charAt: 'string', concat: 'string', padEnd: 'string', padStart: 'string', repeat: 'string',
+        replace: 'string', replaceAll: 'string', slice: 'string', substring: 'string',
+        toLowerCase: 'string', toUpperCase: 'string', trim: 'string', trimEnd: 'string',
+        trimStart: 'string', toString: 'string', split: 'array', indexOf: 'number',
+        lastIndexOf: 'number', charCodeAt: 'number', includes: 'boolean',
+        startsWith: 'boolean', endsWith: 'boolean'
+    },
+    number: { toFixed: 'string', toPrecision: 'string', toString: 'string' },
+    array: {
+        concat: 'array', filter: 'array', flat: 'array', flatMap: 'array', map: 'array',
+        slice: 'array', join: 'string', toString: 'string', indexOf: 'number',
+        lastIndexOf: 'number', findIndex: 'number', push: 'number', includes: 'boolean',
+        some: 'boolean', every: 'boolean'
+    }
+};
+
+// Kinds that `+` does not turn into a string
+const NUMERIC_PLUS_KINDS = ['number', 'boolean', 'null', 'undefined'];
+
+function binaryResult(operator, left, right) {
+    if (['==', '!=', '===', '!==', '<', '>', '<=', '>=', 'in', 'instanceof'].includes(operator)) {
+        return type('boolean');
+    }
+    if (operator === '+') {
+        if (isOnly(left, 'string') || isOnly(right, 'string')) return type('string');
+        if (isOnly(left, 'bigint') && isOnly(right, 'bigint')) return type('bigint');
+        if (isOnly(left, ...NUMERIC_PLUS_KINDS) && isOnly(right, ...NUMERIC_PLUS_KINDS)) return type('number');
+        return null;
+    }
+    // Arithmetic and bitwise operators give a number, or a BigInt for BigInt operands
+    if (isOnly(left, 'bigint') && isOnly(right, 'bigint')) return type('bigint');
+    if (operator === '>>>' || (isKnownType(left) && isKnownType(right) &&
+        !typeKinds(left).has('bigint') && !typeKinds(right).has('bigint'))) {
+        return type('number');
+    }
+    return null;
+}
+
+// `-x`, `~x` and `x++` keep BigInts as BigInts
+function numericResult(operand) {
+    if (isOnly(operand, 'bigint')) return type('bigint');
+    return isKnownType(operand) && !typeKinds(operand).has('bigint') ? type('number') : null;
+}
+
+function withoutNullish(operand) {
+    return operand ? new Set([...operand].filter(member => member !== 'null' && member !== 'undefined')) : null;
+}
+
+// Environments map the followed symbols to their type at one point of the code;
+// a symbol missing from an environment has no value there yet. Copies share the
+// map of the original until one of them is written.
+class Environment {
+    constructor(entries = []) {
+        this.map = new Map(entries);
+        this.shared = false;
+    }
+
+    copy() {
+        const copy = new Environment();
+        copy.map = this.map;
+        copy.shared = this.shared = true;
+        return copy;
+    }
+
+    has(symbol) {
+        return this.map.has(symbol);
+    }
+
+    get(symbol) {
+        return this.map.get(symbol);
+    }
+
+    set(symbol, value) {
+        if (this.shared) {
+            this.map = new Map(this.map);
+            this.shared = false;
+        }
+        this.map.set(symbol, value);
+    }
+
+    // Takes the contents of `other`
+    replaceWith(other) {
+        this.map = other.map;
+        this.shared = other.shared = true;
+    }
+}
+
+function joinInto(target, other) {
+    if (target.map === other.map) return;
+    other.map.forEach((value, symbol) => {
+        if (!target.has(symbol)) {
+            target.set(symbol, value);
+        } else if (!sameType(target.get(symbol), value)) {
+            target.set(symbol, unionTypes(target.get(symbol), value));
+        }
+    });
+}
+
+function mergeEnvironments(environments) {
+    const [first, ...rest] = environments;
+    const merged = first ? first.copy() : new Environment();
+    rest.forEach(environment => joinInto(merged, environment));
+    return merged;
+}
+
+function sameEnvironment(a, b) {
+    if (!a || !b) return a === b;
+    if (a.map === b.map) return true;
+    return a.map.size === b.map.size &&
+        [...a.map].every(([symbol, value]) => b.has(symbol) && sameType(value, b.get(symbol)));
+}
+
+// Evaluates expressions against an environment, records the type of every
+// expression it reaches and applies assignments to the environment
+class TypeEvaluator {
+    constructor(options = {}) {
+        this.resolve = options.resolve || (() => null);
+        this.typeOfIdentifier = options.typeOfIdentifier || (() => null);
+        this.returnTypeOf = options.returnTypeOf || (() => null);
+        this.types = new Map();
+        // Symbols only written by their declaration keep one type for the whole
+        // body instead of one per environment; `readers` are the control-flow nodes
+        // to evaluate again when that type changes
+        this.writtenOnce = options.writtenOnce || (() => false);
+        this.fixedTypes = new Map();
+        this.readers = new Map();
+        this.currentNode = null;
+        this.onFixedTypeChange = null;
+    }
+
+    evaluate(node, env) {
+        if (!node) return type('undefined');
+        const result = this.evaluateExpression(node, env);
+        this.types.set(node, result);
+        return result;
+    }
+
+    // Code that may not run: its effects join the environment instead of replacing it
+    evaluateBranch(node, env) {
+        const branch = env.copy();
+        const result = this.evaluate(node, branch);
+        joinInto(env, branch);
+        return result;
+    }
+
+    evaluateExpression(node, env) {
+        switch (node.type) {
+            case 'Literal':
+                if (node.regex) return type('regexp');
+                if (node.value === null) return type('null');
+                return type(typeof node.value);
+            case 'TemplateLiteral':
+                node.expressions.forEach(expression => this.evaluate(expression, env));
+                return type('string');
+            case 'Identifier':
+                return this.evaluateIdentifier(node, env);
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return type(node);
+            case 'ClassExpression':
+                this.evaluate(node.superClass, env);
+                return type('class');
+            case 'ArrayExpression':
+                node.elements.forEach(element => element && this.evaluate(element, env));
+                return type('array');
+            case 'ObjectExpression':
+                node.properties.forEach(property => {
+                    if (property.type !== 'Property') {
+                        this.evaluate(property, env);
+                        return;
+                    }
+                    if (property.computed) {
+                        this.evaluate(property.key, env);
+                    }
+                    this.evaluate(property.value, env);
+                });
+                return type('object');
+            case 'AssignmentExpression':
+                return this.evaluateAssignment(node, env);
+            case 'UpdateExpression': {
+                const result = numericResult(this.evaluate(node.argument, env));
+                this.assign(node.argument, result, env);
+                return result;
+            }
+            case 'UnaryExpression': {
+                const operand = this.evaluate(node.argument, env);
+                switch (node.operator) {
+                    case 'typeof':
+                        return type('string');
+                    case '!':
+                    case 'delete':
+                        return type('boolean');
+                    case 'void':
+                        return type('undefined');
+                    case '+':
+                        return type('number');
+                    default:
+                        return numericResult(operand);
+                }
+            }
+            case 'BinaryExpression':
+                return binaryResult(node.operator, this.evaluate(node.left, env), this.evaluate(node.right, env));
+            case 'LogicalExpression': {
+                const left = this.evaluate(node.left, env);
+                const right = this.evaluateBranch(node.right, env);
+                return unionTypes(node.operator === '??' ? withoutNullish(left) : left, right);
+            }
+            case 'ConditionalExpression': {
+                this.evaluate(node.test, env);
+                const consequentEnv = env.copy();
+                const alternateEnv = env.copy();
+                const result = unionTypes(
+                    this.evaluate(node.consequent, consequentEnv),
+                    this.evaluate(node.alternate, alternateEnv)
+                );
+                env.replaceWith(mergeEnvironments([consequentEnv, alternateEnv]));
+                return result;
+            }
+            case 'SequenceExpression':
+                return node.expressions.reduce((_, expression) => this.evaluate(expression, env), null);
+            case 'MemberExpression': {
+                const object = this.evaluate(node.object, env);
+                if (node.computed) {
+                    this.evaluate(node.property, env);
+                } else if (node.property.name === 'length' && isOnly(object, 'string', 'array')) {
+                    return type('number');
+                }
+                return null;
+            }
+            case 'ChainExpression': {
+                const result = this.evaluate(node.expression, env);
+                return result && unionTypes(result, type('undefined'));
+            }
+            case 'CallExpression':
+                return this.evaluateCall(node, env);
+            case 'NewExpression': {
+                // Builtins with an `instances` kind: `new Date()` is a 'date'
+                const callee = this.evaluate(node.callee, env);
+                node.arguments.forEach(arg => this.evaluate(arg, env));
+                const constructed = callee?.size === 1 ? [...callee][0].instances : null;
+                return type(constructed || 'object');
+            }
+            case 'SpreadElement':
+            case 'AwaitExpression':
+            case 'YieldExpression':
+                this.evaluate(node.argument, env);
+                return null;
+            case 'TaggedTemplateExpression':
+                this.evaluate(node.tag, env);
+                this.evaluate(node.quasi, env);
+                return null;
+            case 'ImportExpression':
+                this.evaluate(node.source, env);
+                return type('object');
+            default:
+                return null;
+        }
+    }
+
+    evaluateIdentifier(node, env) {
+        const symbol = this.resolve(node);
+        if (symbol && this.writtenOnce(symbol)) {
+            if (!this.readers.has(symbol)) {
+                this.readers.set(symbol, new Set());
+            }
+            this.readers.get(symbol).add(this.currentNode);
+            return this.fixedTypes.has(symbol) ? this.fixedTypes.get(symbol) : this.typeOfIdentifier(node);
+        }
+        return symbol && env.has(symbol) ? env.get(symbol) : this.typeOfIdentifier(node);
+    }
+
+    evaluateAssignment(node, env) {
+        if (node.operator === '=') {
+            const result = this.evaluate(node.right, env);
+            this.assign(node.left, result, env);
+            return result;
+        }
+
+        const current = this.evaluate(node.left, env);
+        if (['&&=', '||=', '??='].includes(node.operator)) {
+            // Only assigns when the current value does not decide the result
+            const branch = env.copy();
+            const right = this.evaluate(node.right, branch);
+            this.assign(node.left, right, branch);
+            joinInto(env, branch);
+            return unionTypes(node.operator === '??=' ? withoutNullish(current) : current, right);
+        }
+
+        const result = binaryResult(node.operator.slice(0, -1), current, this.evaluate(node.right, env));
+        this.assign(node.left, result, env);
+        return result;
+    }
+
+    evaluateCall(node, env) {
+        const callee = this.evaluate(node.callee, env);
+        node.arguments.forEach(arg => this.evaluate(arg, env));
+
+        // `'a'.toUpperCase()`, `list.join(',')`
+        const member = node.callee.type === 'MemberExpression' && !node.callee.computed ? node.callee : null;
+        if (member) {
+            const kinds = typeKinds(this.types.get(member.object));
+            const methods = kinds?.size === 1 ? METHOD_RESULTS[[...kinds][0]] : null;
+            return methods && Object.hasOwn(methods, member.property.name)
+                ? type(methods[member.property.name])
+                : null;
+        }
+
+        // Calling a known function gives what it returns
+        if (!isKnownType(callee) || [...callee].some(member => typeof member === 'string')) return null;
+        return [...callee]
+            .map(fn => this.returnTypeOf(fn))
+            .reduce((result, returned) => unionTypes(result, returned), type());
+    }
+
+    // Writes `value` to the target of an assignment or declaration. Destructured
+    // parts have unknown types; default values only run for undefined parts.
+    assign(target, value, env) {
+        if (!target) return;
+
+        switch (target.type) {
+            case 'Identifier': {
+                const symbol = this.resolve(target);
+                if (symbol && this.writtenOnce(symbol)) {
+                    this.setFixedType(symbol, value);
+                } else if (symbol) {
+                    env.set(symbol, value);
+                }
+                break;
+            }
+            case 'MemberExpression':
+                this.evaluate(target.object, env);
+                if (target.computed) {
+                    this.evaluate(target.property, env);
+                }
+                break;
+            case 'AssignmentPattern': {
+                const fallback = this.evaluateBranch(target.right, env);
+                this.assign(target.left, value && unionTypes(withoutNullish(value), fallback), env);
+                break;
+            }
+            case 'RestElement':
+                this.assign(target.argument, null, env);
+                break;
+            case 'ArrayPattern':
+                target.elements.forEach(element => this.assign(element, null, env));
+                break;
+            case 'ObjectPattern':
+                target.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.assign(property, null, env);
+                        return;
+                    }
+                    if (property.computed) {
+                        this.evaluate(property.key, env);
+                    }
+                    this.assign(property.value, null, env);
+                });
+                break;
+        }
+    }
+
+    // The declaration's input merges every path to it, so its last evaluation holds
+    setFixedType(symbol, value) {
+        if (this.fixedTypes.has(symbol) && sameType(this.fixedTypes.get(symbol), value)) return;
+
+        this.fixedTypes.set(symbol, value);
+        this.readers.get(symbol)?.forEach(reader => this.onFixedTypeChange?.(reader));
+    }
+
+    evaluateDeclaration(declaration, env) {
+        declaration.declarations.forEach(declarator => {
+            if (declarator.init) {
+                this.assign(declarator.id, this.evaluate(declarator.init, env), env);
+            } else if (declaration.kind !== 'var') {
+                this.assign(declarator.id, type('undefined'), env);
+            }
+        });
+    }
+
+    // What a control-flow node evaluates, by the node kinds of control-flow.js
+    evaluateNode(node, env) {
+        const stmt = node.astNode;
+        if (!stmt) return;
+
+        switch (node.kind) {
+            case 'ExpressionStatement':
+                this.evaluate(stmt.expression, env);
+                break;
+            case 'VariableDeclaration':
+                this.evaluateDeclaration(stmt, env);
+                break;
+            case 'ClassDeclaration':
+                this.evaluate(stmt.superClass, env);
+                break;
+            case 'IfStatement':
+            case 'WhileStatement':
+                this.evaluate(stmt.test, env);
+                break;
+            case 'ForStatement':
+                if (stmt.init?.type === 'VariableDeclaration') {
+                    this.evaluateDeclaration(stmt.init, env);
+                } else if (stmt.init) {
+                    this.evaluate(stmt.init, env);
+                }
+                break;
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                this.evaluate(stmt.right, env);
+                break;
+            case 'iteration': {
+                // for-in gives property names; for-of over a string gives its characters
+                const iterated = this.types.get(stmt.right);
+                const value = stmt.type === 'ForInStatement' || isOnly(iterated, 'string') ? type('string') : null;
+                const target = stmt.left.type === 'VariableDeclaration' ? stmt.left.declarations[0]?.id : stmt.left;
+                this.assign(target, value, env);
+                break;
+            }
+            case 'test':
+            case 'update':
+                this.evaluate(stmt, env);
+                break;
+            case 'ReturnStatement':
+            case 'ThrowStatement':
+                if (stmt.argument) {
+                    this.evaluate(stmt.argument, env);
+                }
+                break;
+            case 'SwitchStatement':
+                this.evaluate(stmt.discriminant, env);
+                break;
+            case 'case':
+                if (stmt.test) {
+                    this.evaluate(stmt.test, env);
+                }
+                break;
+            case 'catch':
+                this.assign(stmt.param, null, env);
+                break;
+            case 'WithStatement':
+                this.evaluate(stmt.object, env);
+                break;
+        }
+    }
+}
+
+// Types can only grow, but a cap on the evaluations of each block keeps a bad
+// transfer from looping forever
+const MAX_PASSES = 50;
+
+// Types of the expressions of a body at the point where they run, merged over
+// every path that reaches them. `options.resolve(id)` gives the symbol followed
+// through the flow for an identifier (or null); `options.writtenOnce(symbol)` whether
+// only its declaration writes it; `options.typeOfIdentifier(id)` the type of any
+// other identifier; `options.returnTypeOf(fn)` what a function returns;
+// `options.entryTypes` the symbols holding a value when the body starts.
+export function inferTypes(flow, options = {}) {
+    const { graph } = flow;
+    const { blocks, blockOf } = graph.basicBlocks();
+
+    // Worklist: a block is evaluated again only when its input may have changed.
+    // Sweeps go in creation order, which follows the source, so most blocks see
+    // their predecessors first.
+    const pending = new Set(blocks);
+    const evaluations = new Map();
+    const outputs = new Map();
+    const evaluator = new TypeEvaluator(options);
+    evaluator.onFixedTypeChange = reader => pending.add(blockOf.get(reader));
+
+    while (pending.size > 0) {
+        blocks.forEach(block => {
+            if (!pending.delete(block)) return;
+
+            const count = (evaluations.get(block) || 0) + 1;
+            evaluations.set(block, count);
+            if (count > MAX_PASSES) return;
+
+            const env = block.nodes[0] === graph.entry
+                ? new Environment(options.entryTypes || [])
+                : mergeEnvironments(block.predecessors
+                    .map(pred => outputs.get(pred))
+                    .filter(Boolean));
+            block.nodes.forEach(node => {
+                evaluator.currentNode = node;
+                evaluator.evaluateNode(node, env);
+            });
+            if (!sameEnvironment(env, outputs.get(block))) {
+                block.successors.forEach(successor => pending.add(successor));
+            }
+            outputs.set(block, env);
+        });
+    }
+
+    return { types: evaluator.types };
+}
+
+// Types of an expression outside any control-flow graph (an arrow function's
+// expression body, a default value, a class field); only `options.entryTypes`
+// are known about the variables
+export function inferExpressionTypes(expression, options = {}) {
+    const evaluator = new TypeEvaluator(options);
+    evaluator.evaluate(expression, new Environment(options.entryTypes || []));
+    return evaluator.types;
+}